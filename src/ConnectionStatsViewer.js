@@ -0,0 +1,148 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+import * as log from "./utils/logging.js";
+import { summarizeStats } from "./utils/peerStats.js";
+
+// How often the statistics are refreshed while the window is open
+const STATS_INTERVAL = 2000;
+
+/**
+ * A window showing the statistics of every peer connection, which can be exported as a JSON
+ * report to attach to bug reports
+ * @extends {Application}
+ * @param {SimplePeerClient} simplePeerClient   The client whose peers are shown
+ */
+export default class ConnectionStatsViewer extends Application {
+  constructor(simplePeerClient, options = {}) {
+    super(options);
+
+    this.simplePeerClient = simplePeerClient;
+    this.connectionStats = [];
+    this._previousReports = new Map();
+    this._statsInterval = null;
+  }
+
+  /* -------------------------------------------- */
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: "simplepeer-connection-stats",
+      classes: ["simplepeer-connection-stats"],
+      title: game.i18n.localize(`${LANG_NAME}.connectionStats`),
+      template: `modules/${MODULE_NAME}/templates/connection-stats.html`,
+      width: 640,
+      height: "auto",
+      resizable: true,
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  getData() {
+    const userName = (userId) => {
+      const user = game.users.get(userId);
+      return user ? user.name : userId;
+    };
+    const codecNames = (codecs, kind) => codecs
+      .filter((c) => c.kind === kind)
+      .map((c) => (c.parameters ? `${c.codec} (${c.parameters})` : c.codec))
+      .join(", ");
+
+    return {
+      peers: this.connectionStats.map((s) => ({
+        userName: s.userName,
+        connectionState: s.connectionState,
+        iceConnectionState: s.iceConnectionState,
+        ...s.summary,
+      })),
+      codecs: this.simplePeerClient.getCodecReports().map((r) => ({
+        userName: userName(r.userId),
+        peerUserName: userName(r.peerUserId),
+        audio: codecNames(r.codecs, "audio"),
+        video: codecNames(r.codecs, "video"),
+      })),
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action=export]").click(this._onExport.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _render(force = false, options = {}) {
+    await super._render(force, options);
+
+    if (!this._statsInterval) {
+      this._statsInterval = setInterval(this._updateStats.bind(this), STATS_INTERVAL);
+      this._updateStats();
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async close(options) {
+    clearInterval(this._statsInterval);
+    this._statsInterval = null;
+    this._previousReports.clear();
+
+    return super.close(options);
+  }
+
+  /* -------------------------------------------- */
+
+  async _updateStats() {
+    try {
+      const connectionStats = await this.simplePeerClient.getConnectionStats();
+      for (const stats of connectionStats) {
+        stats.summary = summarizeStats(stats.report, this._previousReports.get(stats.userId));
+        this._previousReports.set(stats.userId, stats.report);
+      }
+      this.connectionStats = connectionStats;
+    } catch (err) {
+      log.error("Error getting connection statistics:", err);
+    }
+
+    if (this.rendered) this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  _onExport(event) {
+    event.preventDefault();
+
+    const report = {
+      module: MODULE_NAME,
+      version: game.modules.get(MODULE_NAME).data.version,
+      coreVersion: game.data.version,
+      userAgent: navigator.userAgent,
+      user: game.user.id,
+      timestamp: new Date().toISOString(),
+      iceTransportPolicy: this.simplePeerClient.peerConfig.iceTransportPolicy,
+      // Leave out TURN credentials
+      iceServers: (this.simplePeerClient.peerConfig.iceServers || []).map((s) => s.urls),
+      peers: this.connectionStats.map((s) => ({
+        userId: s.userId,
+        userName: s.userName,
+        connectionState: s.connectionState,
+        iceConnectionState: s.iceConnectionState,
+        summary: s.summary,
+        stats: Array.from(s.report.values()),
+      })),
+      codecs: this.simplePeerClient.getCodecReports(),
+    };
+
+    saveDataToFile(
+      JSON.stringify(report, null, 2),
+      "application/json",
+      `${MODULE_NAME}-stats-${game.user.name.slugify()}-${Date.now()}.json`,
+    );
+  }
+}
@@ -0,0 +1,258 @@
+import { MODULE_NAME } from "./utils/constants.js";
+import * as log from "./utils/logging.js";
+
+// Maximum payload size of a single frame, kept well below the SCTP message size limits
+const CHUNK_SIZE = 16 * 1024;
+// Incoming messages split into more chunks than this are dropped
+const MAX_CHUNKS = 4096;
+// Partially received messages are dropped when no chunk arrives for this long (ms)
+const INCOMPLETE_MESSAGE_TIMEOUT = 60000;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Convert message data into the bytes that are sent
+ * @param {*} data      JSON serializable data, an ArrayBuffer, a typed array or a Blob
+ * @return {Promise<{type: string, payload: Uint8Array}>}
+ */
+async function encodePayload(data) {
+  if (data instanceof Blob) {
+    return { type: "binary", payload: new Uint8Array(await data.arrayBuffer()) };
+  }
+  if (data instanceof ArrayBuffer) {
+    return { type: "binary", payload: new Uint8Array(data) };
+  }
+  if (ArrayBuffer.isView(data)) {
+    return { type: "binary", payload: new Uint8Array(data.buffer, data.byteOffset, data.byteLength) };
+  }
+
+  return { type: "json", payload: textEncoder.encode(JSON.stringify(data)) };
+}
+
+/**
+ * Build a frame: a 2 byte header length, the JSON header and then the payload chunk
+ * @param {object} header         The frame header
+ * @param {Uint8Array} payload    The payload chunk
+ * @return {Uint8Array}
+ */
+function encodeFrame(header, payload) {
+  const headerBytes = textEncoder.encode(JSON.stringify(header));
+  const frame = new Uint8Array(2 + headerBytes.length + payload.length);
+
+  new DataView(frame.buffer).setUint16(0, headerBytes.length);
+  frame.set(headerBytes, 2);
+  frame.set(payload, 2 + headerBytes.length);
+
+  return frame;
+}
+
+/**
+ * Split a received frame into its header and payload chunk
+ * @param {Uint8Array} frame      The received frame
+ * @return {{header: object, payload: Uint8Array}}
+ */
+function decodeFrame(frame) {
+  const headerLength = new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint16(0);
+  const header = JSON.parse(textDecoder.decode(frame.subarray(2, 2 + headerLength)));
+
+  return { header, payload: frame.subarray(2 + headerLength) };
+}
+
+/**
+ * Wait until a peer's data channel has room for more data
+ * @param {SimplePeer} peer       The peer being written to
+ * @return {Promise<boolean>}     False if the peer closed before it could take more data
+ */
+function waitForDrain(peer) {
+  return new Promise((resolve) => {
+    const onDrain = () => {
+      peer.removeListener("close", onClose);
+      resolve(true);
+    };
+    const onClose = () => {
+      peer.removeListener("drain", onDrain);
+      resolve(false);
+    };
+    peer.once("drain", onDrain);
+    peer.once("close", onClose);
+  });
+}
+
+/**
+ * Sends and receives named-channel messages over the peer data channels.
+ * Messages are split into chunks so large payloads don't exceed the data channel limits, and
+ * received messages are announced with the `avclient-simplepeerDataReceived` hook.
+ * @param {SimplePeerClient} simplePeerClient   The client owning the peers
+ */
+export default class DataChannelMessenger {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+
+    this._incoming = new Map();
+    this._nextMessageId = 0;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Send a message to every connected peer
+   * @param {string} channel    The channel name
+   * @param {*} data            JSON serializable data, an ArrayBuffer, a typed array or a Blob
+   * @return {Promise<string[]>}  The User IDs the message was sent to
+   */
+  async broadcast(channel, data) {
+    const userIds = [];
+    for (const userId of this.simplePeerClient.peers.keys()) {
+      if (await this.send(userId, channel, data)) userIds.push(userId);
+    }
+
+    return userIds;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Drop any partially received messages from a user
+   * @param {string} userId     The User ID
+   */
+  clearUser(userId) {
+    for (const [key, message] of this._incoming) {
+      if (!key.startsWith(`${userId}.`)) continue;
+      clearTimeout(message.timeout);
+      this._incoming.delete(key);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle a frame received on a peer's data channel
+   * @param {string} userId       The User ID the frame came from
+   * @param {Uint8Array} data     The received frame
+   */
+  onData(userId, data) {
+    let frame;
+    try {
+      frame = decodeFrame(data);
+    } catch (err) {
+      log.warn("Ignoring invalid data channel message from", userId, ":", err);
+      return;
+    }
+
+    const {
+      id,
+      channel,
+      type,
+      index,
+      count,
+    } = frame.header;
+    if (!Number.isInteger(count) || count < 1 || !Number.isInteger(index) || index < 0
+      || index >= count) {
+      log.warn("Ignoring invalid data channel message from", userId, ":", frame.header);
+      return;
+    }
+    if (count > MAX_CHUNKS) {
+      log.warn("Ignoring oversized data channel message from", userId, "on", channel);
+      return;
+    }
+
+    if (count === 1) {
+      this._deliver(userId, channel, type, frame.payload);
+      return;
+    }
+
+    // Chunks arrive in order on the reliable data channel
+    const key = `${userId}.${id}`;
+    if (!this._incoming.has(key)) {
+      this._incoming.set(key, { count, chunks: [], received: 0, timeout: null });
+    }
+    const message = this._incoming.get(key);
+    clearTimeout(message.timeout);
+
+    // Every chunk of a message must agree on the chunk count, and arrive once
+    if (count !== message.count || message.chunks[index]) {
+      log.warn("Dropping inconsistent data channel message from", userId, "on", channel);
+      this._incoming.delete(key);
+      return;
+    }
+    message.chunks[index] = frame.payload.slice();
+    message.received += 1;
+
+    if (message.received < count) {
+      message.timeout = setTimeout(() => {
+        log.warn("Dropping incomplete data channel message from", userId, "on", channel);
+        this._incoming.delete(key);
+      }, INCOMPLETE_MESSAGE_TIMEOUT);
+    } else {
+      this._incoming.delete(key);
+
+      const { chunks } = message;
+      const payload = new Uint8Array(chunks.reduce((length, c) => length + c.length, 0));
+      let offset = 0;
+      for (const chunk of chunks) {
+        payload.set(chunk, offset);
+        offset += chunk.length;
+      }
+      this._deliver(userId, channel, type, payload);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Send a message to a single connected peer
+   * @param {string} userId     The User ID to send to
+   * @param {string} channel    The channel name
+   * @param {*} data            JSON serializable data, an ArrayBuffer, a typed array or a Blob
+   * @return {Promise<boolean>}   Was the message sent?
+   */
+  async send(userId, channel, data) {
+    const peer = this.simplePeerClient.peers.get(userId);
+    if (!peer || !peer.connected) {
+      log.debug("Unable to send data channel message; not connected to", userId);
+      return false;
+    }
+
+    const { type, payload } = await encodePayload(data);
+    const id = this._nextMessageId;
+    this._nextMessageId += 1;
+
+    // Wait for the data channel to catch up rather than buffering the whole message in memory
+    const count = Math.max(Math.ceil(payload.length / CHUNK_SIZE), 1);
+    for (let index = 0; index < count; index += 1) {
+      if (peer.destroyed) return false;
+
+      const ready = peer.write(encodeFrame(
+        {
+          id,
+          channel,
+          type,
+          index,
+          count,
+        },
+        payload.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE),
+      ));
+      if (!ready && !(await waitForDrain(peer))) return false;
+    }
+
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  _deliver(userId, channel, type, payload) {
+    let data;
+    try {
+      data = (type === "json")
+        ? JSON.parse(textDecoder.decode(payload))
+        : payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength);
+    } catch (err) {
+      log.warn("Ignoring invalid data channel message from", userId, "on", channel, ":", err);
+      return;
+    }
+
+    log.debug("Data channel message (", userId, ") on", channel, ":", data);
+    Hooks.callAll(`${MODULE_NAME}DataReceived`, channel, data, userId);
+  }
+}
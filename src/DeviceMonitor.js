@@ -0,0 +1,151 @@
+import { LANG_NAME } from "./utils/constants.js";
+import * as log from "./utils/logging.js";
+
+// Wait for the device list to settle, as a headset can add several devices one after another
+const DEVICE_CHANGE_DELAY = 500;
+
+// The devices the user can select in the A/V settings
+const SELECTABLE_DEVICES = [
+  { kind: "audioinput", setting: "audioSrc", streamKind: "audio", name: "microphone" },
+  { kind: "videoinput", setting: "videoSrc", streamKind: "video", name: "camera" },
+  { kind: "audiooutput", setting: "audioSink", streamKind: null, name: "speakers" },
+];
+
+// Device IDs the browser uses for the system defaults rather than for a real device
+const DEFAULT_DEVICE_IDS = ["", "default", "communications"];
+
+/**
+ * Watches for devices being plugged in or removed during a session.
+ * When the selected device disappears the system default is used until it comes back, and the
+ * user is offered to switch to newly connected devices.
+ * @param {SimplePeerClient} simplePeerClient   The client using the devices
+ */
+export default class DeviceMonitor {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+    this.settings = simplePeerClient.settings;
+
+    this.devices = [];
+    this.missing = new Map();
+
+    this._onDeviceChange = debounce(this._checkDevices.bind(this), DEVICE_CHANGE_DELAY);
+  }
+
+  /* -------------------------------------------- */
+
+  async start() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.addEventListener) {
+      log.warn("Browser does not support device change detection");
+      return;
+    }
+
+    this.devices = await this._getDevices();
+    navigator.mediaDevices.addEventListener("devicechange", this._onDeviceChange);
+  }
+
+  /* -------------------------------------------- */
+
+  stop() {
+    if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+      navigator.mediaDevices.removeEventListener("devicechange", this._onDeviceChange);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  async _getDevices() {
+    try {
+      return await navigator.mediaDevices.enumerateDevices();
+    } catch (err) {
+      log.error("Error listing devices:", err);
+      return [];
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  async _checkDevices() {
+    const previousDevices = this.devices;
+    this.devices = await this._getDevices();
+    log.debug("Devices changed:", this.devices);
+
+    const isListed = (list, kind, deviceId) => list.some(
+      (d) => d.kind === kind && d.deviceId === deviceId,
+    );
+
+    for (const selectable of SELECTABLE_DEVICES) {
+      const selected = this.settings.get("client", selectable.setting);
+
+      // Forget a missing device once the user has selected another one
+      if (this.missing.has(selectable.setting) && this.missing.get(selectable.setting) !== selected) {
+        this.missing.delete(selectable.setting);
+      }
+      if (DEFAULT_DEVICE_IDS.includes(selected || "")) continue;
+
+      const present = isListed(this.devices, selectable.kind, selected);
+      const name = game.i18n.localize(`${LANG_NAME}.${selectable.name}`);
+      if (!present && !this.missing.has(selectable.setting)) {
+        log.info("Selected", selectable.kind, "disconnected:", selected);
+        this.missing.set(selectable.setting, selected);
+        ui.notifications.warn(game.i18n.format(`${LANG_NAME}.deviceLost`, { device: name }));
+        await this._applyDevice(selectable);
+      } else if (present && this.missing.has(selectable.setting)) {
+        log.info("Selected", selectable.kind, "reconnected:", selected);
+        this.missing.delete(selectable.setting);
+        ui.notifications.info(game.i18n.format(`${LANG_NAME}.deviceRestored`, { device: name }));
+        await this._applyDevice(selectable);
+      }
+    }
+
+    for (const device of this.devices) {
+      if (!isListed(previousDevices, device.kind, device.deviceId)) this._offerDevice(device);
+    }
+
+    // Refresh the device lists of an open A/V configuration dialog
+    for (const app of Object.values(ui.windows)) {
+      if (app instanceof AVConfig) app.render();
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Start using the selected device again, or the system default while it is missing
+   * @param {object} selectable     The kind of device to apply
+   * @private
+   */
+  async _applyDevice(selectable) {
+    if (selectable.kind === "audiooutput") {
+      const sinkId = this.missing.has(selectable.setting) ? "" : this.settings.get("client", "audioSink");
+      await this.simplePeerClient.setAudioSinkId(sinkId);
+      return;
+    }
+
+    // The selected device is only requested as ideal, so the default is used when it's missing
+    await this.simplePeerClient.changeLocalStream([selectable.streamKind]);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Ask the user if they want to switch to a device that was just connected
+   * @param {MediaDeviceInfo} device
+   * @private
+   */
+  _offerDevice(device) {
+    const selectable = SELECTABLE_DEVICES.find((s) => s.kind === device.kind);
+    if (!selectable || DEFAULT_DEVICE_IDS.includes(device.deviceId)) return;
+    if (this.settings.get("client", selectable.setting) === device.deviceId) return;
+
+    const name = game.i18n.localize(`${LANG_NAME}.${selectable.name}`);
+    Dialog.confirm({
+      title: game.i18n.localize(`${LANG_NAME}.deviceConnectedTitle`),
+      content: `<p>${game.i18n.format(`${LANG_NAME}.deviceConnected`, {
+        device: name,
+        label: device.label || game.i18n.localize(`${LANG_NAME}.deviceUnnamed`),
+      })}</p>`,
+      yes: () => this.settings.set("client", selectable.setting, device.deviceId),
+      defaultYes: false,
+    });
+  }
+}
@@ -0,0 +1,456 @@
+import { LANG_NAME, RESERVED_CHANNEL_PREFIX } from "./utils/constants.js";
+import * as helpers from "./utils/helpers.js";
+import * as log from "./utils/logging.js";
+
+import FileTransfersViewer from "./FileTransfersViewer.js";
+
+// Data channel used to offer, accept and confirm transfers; the file data of each transfer is
+// sent on its own channel, `${FILE_CHANNEL}.${transferId}`
+const FILE_CHANNEL = `${RESERVED_CHANNEL_PREFIX}file`;
+// Size of each piece of a file, matching the data channel frame size so each piece is one frame
+const FILE_CHUNK_SIZE = 16 * 1024;
+// Received files are kept in memory, so larger files can't be sent
+const MAX_FILE_SIZE = 512 * 1024 * 1024;
+// Files are hashed with SHA-256, written as hexadecimal
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+// States of transfers that have ended
+const FINISHED_STATES = ["done", "failed", "declined", "cancelled"];
+
+/**
+ * Get the SHA-256 hash of a file
+ * @param {Blob} blob           The file
+ * @return {Promise<string>}    The hash as a hexadecimal string
+ */
+async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Sends files directly to other users over the peer data channels, without uploading them to
+ * the server.
+ * Receivers accept or decline each file, the file is checked against its hash once received,
+ * and transfers interrupted by a dropped connection continue where they stopped once the peer
+ * reconnects.
+ * @param {SimplePeerClient} simplePeerClient   The client owning the peers
+ */
+export default class FileTransferManager {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+    this.messenger = simplePeerClient.messenger;
+
+    this.incoming = new Map();
+    this.outgoing = new Map();
+    this.viewer = null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Send a control message for a transfer
+   * @param {string} userId       The User ID to send to
+   * @param {object} message      The message
+   * @return {Promise<boolean>}   Was the message sent?
+   * @private
+   */
+  _sendControl(userId, message) {
+    return this.messenger.send(userId, FILE_CHANNEL, message);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Send the file data of a transfer, starting at its current offset
+   * @param {object} transfer     The outgoing transfer
+   * @private
+   */
+  async _sendChunks(transfer) {
+    // A resumed transfer starts a new run; the previous one stops at its next chunk
+    transfer.run += 1;
+    const { run } = transfer;
+    const channel = `${FILE_CHANNEL}.${transfer.id}`;
+
+    while (transfer.offset < transfer.size) {
+      if (transfer.run !== run || transfer.state !== "sending") return;
+
+      const chunk = transfer.file.slice(transfer.offset, transfer.offset + FILE_CHUNK_SIZE);
+      if (!(await this.messenger.send(transfer.userId, channel, chunk))) {
+        if (transfer.run === run && transfer.state === "sending") {
+          log.debug("File transfer", transfer.id, "interrupted at", transfer.offset);
+          this._setState(transfer, "interrupted");
+        }
+        return;
+      }
+      if (transfer.run === run) transfer.offset += chunk.size;
+    }
+
+    // Wait for the receiver to confirm the file arrived intact
+    if (transfer.run === run && transfer.state === "sending") this._setState(transfer, "verifying");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Update the state of a transfer and show it
+   * @param {object} transfer     The transfer
+   * @param {string} state        The new state
+   * @private
+   */
+  _setState(transfer, state) {
+    transfer.state = state;
+    if (this.viewer && this.viewer.rendered) this.viewer.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Ask the user whether to accept a file offered by another user
+   * @param {object} transfer     The incoming transfer
+   * @private
+   */
+  async _promptOffer(transfer) {
+    const user = game.users.get(transfer.userId);
+    // The file name comes from the other user, so it mustn't be read as HTML
+    const accepted = await Dialog.confirm({
+      title: game.i18n.localize(`${LANG_NAME}.fileOfferTitle`),
+      content: `<p>${game.i18n.format(`${LANG_NAME}.fileOffer`, {
+        user: helpers.escapeHtml(user ? user.name : transfer.userId),
+        name: helpers.escapeHtml(transfer.name),
+        size: helpers.formatFileSize(transfer.size),
+      })}</p>`,
+      defaultYes: false,
+    });
+
+    // The sender may have cancelled while the dialog was open
+    if (transfer.state !== "offered") return;
+
+    if (accepted) {
+      this._setState(transfer, "receiving");
+      this._sendControl(transfer.userId, { type: "accept", id: transfer.id, offset: 0 });
+      this.openViewer();
+
+      // No data arrives for an empty file, so it is complete already
+      if (transfer.size === 0) this._verify(transfer);
+    } else {
+      this.incoming.delete(transfer.id);
+      this._sendControl(transfer.userId, { type: "decline", id: transfer.id });
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Check a completely received file against its hash, and tell the sender the result
+   * @param {object} transfer     The incoming transfer
+   * @private
+   */
+  async _verify(transfer) {
+    this._setState(transfer, "verifying");
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    transfer.chunks = [];
+
+    const verified = (await hashBlob(blob)) === transfer.hash;
+    const name = helpers.escapeHtml(transfer.name);
+    if (verified) {
+      transfer.blob = blob;
+      ui.notifications.info(game.i18n.format(`${LANG_NAME}.fileReceived`, { name }));
+    } else {
+      log.warn("File transfer", transfer.id, "failed the integrity check");
+      ui.notifications.error(game.i18n.format(`${LANG_NAME}.fileCorrupted`, { name }));
+    }
+
+    this._setState(transfer, verified ? "done" : "failed");
+    this._sendControl(transfer.userId, { type: "complete", id: transfer.id, verified });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Stop a transfer and tell the other user
+   * @param {string} id           The transfer ID
+   */
+  cancel(id) {
+    const transfer = this.outgoing.get(id) || this.incoming.get(id);
+    if (!transfer || FINISHED_STATES.includes(transfer.state)) return;
+
+    this._setState(transfer, "cancelled");
+    transfer.chunks = [];
+    this._sendControl(transfer.userId, { type: "cancel", id });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Forget the transfers that have ended
+   */
+  clearFinished() {
+    for (const transfers of [this.incoming, this.outgoing]) {
+      for (const [id, transfer] of transfers) {
+        if (!FINISHED_STATES.includes(transfer.state)) continue;
+        if (transfer.objectUrl) URL.revokeObjectURL(transfer.objectUrl);
+        transfers.delete(id);
+      }
+    }
+    if (this.viewer && this.viewer.rendered) this.viewer.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get every transfer, most recent first
+   * @return {object[]}
+   */
+  getTransfers() {
+    return [...this.outgoing.values(), ...this.incoming.values()]
+      .sort((a, b) => b.created - a.created);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle a message received on the data channel
+   * @param {string} channel      The channel name
+   * @param {*} data              The message
+   * @param {string} userId       The User ID the message came from
+   */
+  onData(channel, data, userId) {
+    if (channel === FILE_CHANNEL) {
+      this.onControl(userId, data);
+      return;
+    }
+    if (!channel.startsWith(`${FILE_CHANNEL}.`)) return;
+
+    const transfer = this.incoming.get(channel.slice(FILE_CHANNEL.length + 1));
+    if (!transfer || transfer.userId !== userId || transfer.state !== "receiving") return;
+    if (!(data instanceof ArrayBuffer)) return;
+
+    // A sender going past the size it offered would fill our memory
+    if (transfer.offset + data.byteLength > transfer.size) {
+      log.warn("File transfer", transfer.id, "sent more data than offered");
+      transfer.chunks = [];
+      this._setState(transfer, "failed");
+      this._sendControl(userId, { type: "complete", id: transfer.id, verified: false });
+      return;
+    }
+
+    transfer.chunks.push(data);
+    transfer.offset += data.byteLength;
+    if (transfer.offset >= transfer.size) this._verify(transfer);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle a control message from another user
+   * @param {string} userId       The User ID the message came from
+   * @param {object} message      The message
+   */
+  onControl(userId, message) {
+    if (!message || typeof message.id !== "string") return;
+
+    if (message.type === "offer") {
+      if (this.incoming.has(message.id)) return;
+      if (typeof message.name !== "string" || typeof message.hash !== "string"
+        || !HASH_PATTERN.test(message.hash) || !Number.isInteger(message.size)
+        || message.size < 0 || message.size > MAX_FILE_SIZE) {
+        log.warn("Ignoring invalid file offer from", userId, ":", message);
+        return;
+      }
+
+      const transfer = {
+        id: message.id,
+        userId,
+        direction: "receive",
+        name: message.name,
+        size: message.size,
+        mimeType: typeof message.mimeType === "string" ? message.mimeType : "",
+        hash: message.hash,
+        offset: 0,
+        chunks: [],
+        blob: null,
+        state: "offered",
+        created: Date.now(),
+      };
+      this.incoming.set(transfer.id, transfer);
+      this._promptOffer(transfer);
+      return;
+    }
+
+    // Other messages are about a transfer we sent or are receiving from the same user
+    const outgoing = this.outgoing.get(message.id);
+    const transfer = (outgoing && outgoing.userId === userId) ? outgoing : this.incoming.get(message.id);
+    if (!transfer || transfer.userId !== userId) return;
+
+    switch (message.type) {
+      case "accept":
+        // Also sent by the receiver to resume the transfer after reconnecting
+        if (transfer !== outgoing || !["offered", "sending", "interrupted"].includes(transfer.state)) return;
+        if (!Number.isInteger(message.offset)) return;
+
+        log.debug("File transfer", transfer.id, "accepted from", message.offset);
+        transfer.offset = Math.min(Math.max(message.offset, 0), transfer.size);
+        this._setState(transfer, "sending");
+        this._sendChunks(transfer);
+        break;
+      case "decline":
+        if (transfer !== outgoing || transfer.state !== "offered") return;
+        this._setState(transfer, "declined");
+        break;
+      case "complete":
+        if (transfer !== outgoing) return;
+        this._setState(transfer, message.verified ? "done" : "failed");
+        break;
+      case "cancel":
+        if (FINISHED_STATES.includes(transfer.state)) return;
+        transfer.chunks = [];
+        this._setState(transfer, "cancelled");
+        break;
+      default:
+        log.warn("Unknown file transfer message from", userId, ":", message);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Mark the transfers with a user as interrupted when the connection to them closes
+   * @param {string} userId       The User ID
+   */
+  onPeerClosed(userId) {
+    for (const transfer of this.getTransfers()) {
+      if (transfer.userId === userId && ["sending", "receiving"].includes(transfer.state)) {
+        this._setState(transfer, "interrupted");
+      }
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Resume the files we were receiving from a user once the connection to them is back
+   * @param {string} userId       The User ID
+   */
+  onPeerConnected(userId) {
+    for (const transfer of this.incoming.values()) {
+      if (transfer.userId !== userId || !["receiving", "interrupted"].includes(transfer.state)) continue;
+
+      log.debug("Resuming file transfer", transfer.id, "from", transfer.offset);
+      this._setState(transfer, "receiving");
+      this._sendControl(userId, { type: "accept", id: transfer.id, offset: transfer.offset });
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add the controls to send a file to a connected user, or to everyone as a GM, to the camera
+   * views
+   * @param {CameraViews} cameraViews
+   * @param {jQuery} html
+   */
+  onRenderCameraViews(cameraViews, html) {
+    const { peers } = this.simplePeerClient;
+    const getConnected = () => Array.from(peers.keys()).filter((userId) => peers.get(userId).connected);
+
+    if (game.user.isGM) {
+      const sendAllControl = $(`<a class="av-control simplepeer-send-file-all"
+        title="${game.i18n.localize(`${LANG_NAME}.fileSendAll`)}">
+        <i class="fas fa-file-upload"></i>
+      </a>`);
+      sendAllControl.on("click", () => this.pickFile(getConnected()));
+      html.find(`.camera-view[data-user="${game.user.id}"] .control-bar`).first().append(sendAllControl);
+    }
+
+    for (const userId of getConnected()) {
+      const sendFileControl = $(`<a class="av-control simplepeer-send-file"
+        title="${game.i18n.localize(`${LANG_NAME}.fileSend`)}">
+        <i class="fas fa-file-upload"></i>
+      </a>`);
+      sendFileControl.on("click", () => this.pickFile([userId]));
+      html.find(`.camera-view[data-user="${userId}"] .control-bar`).first().append(sendFileControl);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  openViewer() {
+    if (!this.viewer) {
+      this.viewer = new FileTransfersViewer(this);
+    }
+    this.viewer.render(true);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Let the user pick a file and send it
+   * @param {string[]} userIds    The User IDs to send the file to
+   */
+  pickFile(userIds) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.addEventListener("change", () => {
+      if (input.files.length > 0) this.sendFile(input.files[0], userIds);
+    });
+    input.click();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Offer a file to users; each user accepts or declines it separately
+   * @param {File|Blob} file      The file to send
+   * @param {string[]} userIds    The User IDs to send the file to
+   * @return {Promise<string[]>}  The User IDs the file was offered to
+   */
+  async sendFile(file, userIds) {
+    const name = file.name || game.i18n.localize(`${LANG_NAME}.fileUnnamed`);
+    if (file.size > MAX_FILE_SIZE) {
+      ui.notifications.error(game.i18n.format(`${LANG_NAME}.fileTooLarge`, {
+        name: helpers.escapeHtml(name),
+        size: helpers.formatFileSize(MAX_FILE_SIZE),
+      }));
+      return [];
+    }
+
+    const hash = await hashBlob(file);
+
+    const offeredTo = [];
+    for (const userId of userIds) {
+      const transfer = {
+        id: randomID(16),
+        userId,
+        direction: "send",
+        name,
+        size: file.size,
+        mimeType: file.type,
+        hash,
+        offset: 0,
+        file,
+        run: 0,
+        state: "offered",
+        created: Date.now(),
+      };
+
+      const sent = await this._sendControl(userId, {
+        type: "offer",
+        id: transfer.id,
+        name,
+        size: file.size,
+        mimeType: file.type,
+        hash,
+      });
+      if (sent) {
+        this.outgoing.set(transfer.id, transfer);
+        offeredTo.push(userId);
+      } else {
+        log.warn("Unable to offer file to", userId);
+      }
+    }
+
+    if (offeredTo.length > 0) this.openViewer();
+    return offeredTo;
+  }
+}
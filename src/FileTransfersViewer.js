@@ -0,0 +1,133 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+import * as helpers from "./utils/helpers.js";
+
+// How often the progress is refreshed while the window is open
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * A window showing the progress of the files being sent and received, where received files can
+ * be saved or viewed
+ * @extends {Application}
+ * @param {FileTransferManager} fileTransfers   The manager of the transfers
+ */
+export default class FileTransfersViewer extends Application {
+  constructor(fileTransfers, options = {}) {
+    super(options);
+
+    this.fileTransfers = fileTransfers;
+    this._progressInterval = null;
+  }
+
+  /* -------------------------------------------- */
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: "simplepeer-file-transfers",
+      classes: ["simplepeer-file-transfers"],
+      title: game.i18n.localize(`${LANG_NAME}.fileTransfers`),
+      template: `modules/${MODULE_NAME}/templates/file-transfers.html`,
+      width: 420,
+      height: "auto",
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  getData() {
+    const transfers = this.fileTransfers.getTransfers().map((transfer) => {
+      const user = game.users.get(transfer.userId);
+      const active = ["offered", "sending", "receiving", "interrupted", "verifying"].includes(transfer.state);
+      return {
+        id: transfer.id,
+        name: transfer.name,
+        sending: transfer.direction === "send",
+        userName: user ? user.name : transfer.userId,
+        size: helpers.formatFileSize(transfer.size),
+        percent: transfer.size > 0 ? Math.floor((transfer.offset / transfer.size) * 100) : 100,
+        state: game.i18n.localize(`${LANG_NAME}.fileState${transfer.state.capitalize()}`),
+        canCancel: active,
+        canSave: !!transfer.blob,
+        canView: !!transfer.blob && transfer.mimeType.startsWith("image/"),
+      };
+    });
+
+    return { transfers };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action=cancel]").click(this._onCancel.bind(this));
+    html.find("[data-action=save]").click(this._onSave.bind(this));
+    html.find("[data-action=view]").click(this._onView.bind(this));
+    html.find("[data-action=clear]").click(this._onClear.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _render(force = false, options = {}) {
+    await super._render(force, options);
+
+    if (!this._progressInterval) {
+      this._progressInterval = setInterval(() => {
+        if (this.rendered) this.render();
+      }, PROGRESS_INTERVAL);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async close(options) {
+    clearInterval(this._progressInterval);
+    this._progressInterval = null;
+
+    return super.close(options);
+  }
+
+  /* -------------------------------------------- */
+
+  _getTransfer(event) {
+    event.preventDefault();
+
+    const { id } = event.currentTarget.closest("[data-transfer-id]").dataset;
+    return this.fileTransfers.incoming.get(id) || this.fileTransfers.outgoing.get(id);
+  }
+
+  /* -------------------------------------------- */
+
+  _onCancel(event) {
+    const transfer = this._getTransfer(event);
+    if (transfer) this.fileTransfers.cancel(transfer.id);
+  }
+
+  /* -------------------------------------------- */
+
+  _onClear(event) {
+    event.preventDefault();
+
+    this.fileTransfers.clearFinished();
+  }
+
+  /* -------------------------------------------- */
+
+  _onSave(event) {
+    const transfer = this._getTransfer(event);
+    if (transfer && transfer.blob) saveDataToFile(transfer.blob, transfer.blob.type, transfer.name);
+  }
+
+  /* -------------------------------------------- */
+
+  _onView(event) {
+    const transfer = this._getTransfer(event);
+    if (!transfer || !transfer.blob) return;
+
+    if (!transfer.objectUrl) transfer.objectUrl = URL.createObjectURL(transfer.blob);
+    new ImagePopout(transfer.objectUrl, { title: transfer.name, shareable: false }).render(true);
+  }
+}
@@ -0,0 +1,149 @@
+import { LANG_NAME } from "./utils/constants.js";
+import * as helpers from "./utils/helpers.js";
+import * as moderation from "./utils/moderation.js";
+
+/**
+ * Shows users how a GM is moderating them, and gives GMs the controls to moderate everyone
+ * from the camera views.
+ * @param {SimplePeerClient} simplePeerClient   The client the moderation applies to
+ */
+export default class ModerationControls {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add the moderation notice and controls to the camera views
+   * @param {CameraViews} cameraViews
+   * @param {jQuery} html
+   */
+  onRenderCameraViews(cameraViews, html) {
+    // Enlarge the spotlighted user's camera view
+    const { spotlight } = moderation.getModeration();
+    if (spotlight) {
+      html.find(`.camera-view[data-user="${spotlight}"]`).addClass("simplepeer-spotlight");
+    }
+
+    // Let users know when a GM is moderating them
+    const moderated = [];
+    if (moderation.isMuted(game.user.id)) {
+      moderated.push(game.i18n.localize(`${LANG_NAME}.moderationMutedYou`));
+    }
+    if (moderation.isHidden(game.user.id)) {
+      moderated.push(game.i18n.localize(`${LANG_NAME}.moderationHiddenYou`));
+    }
+    if (moderation.getVolume(game.user.id) < 1) {
+      moderated.push(game.i18n.format(`${LANG_NAME}.moderationVolumeYou`, {
+        volume: Math.round(moderation.getVolume(game.user.id) * 100),
+      }));
+    }
+    if (this.simplePeerClient.muteRequested && !moderation.isMuted(game.user.id)) {
+      moderated.push(`<a class="simplepeer-cancel-mute-request">
+        ${game.i18n.localize(`${LANG_NAME}.moderationRequestedMuteYou`)}
+      </a>`);
+    }
+    if (moderated.length > 0) {
+      const moderatedNotice = $(`<div class="simplepeer-moderated">
+        <i class="fas fa-gavel"></i> ${moderated.join("<br>")}
+      </div>`);
+      moderatedNotice.find(".simplepeer-cancel-mute-request")
+        .on("click", () => this.simplePeerClient.cancelMuteRequest());
+      html.find(`.camera-view[data-user="${game.user.id}"]`).append(moderatedNotice);
+    }
+
+    // Add the moderation controls to the GM's camera views
+    if (!game.user.isGM) return;
+
+    const askMuteControl = $(`<a class="av-control simplepeer-request-mute"
+      title="${game.i18n.localize(`${LANG_NAME}.moderationRequestMute`)}">
+      <i class="fas fa-hand-paper"></i>
+    </a>`);
+    askMuteControl.on("click", () => this.requestMuteAll());
+    html.find(`.camera-view[data-user="${game.user.id}"] .control-bar`).first().append(askMuteControl);
+
+    for (const element of html.find(".camera-view").toArray()) {
+      const cameraView = $(element);
+      const { userId } = element.dataset;
+      const user = game.users.get(userId);
+      if (!user) continue;
+      const controlBar = cameraView.find(".control-bar").first();
+
+      const spotlighted = spotlight === userId;
+      const spotlightControl = $(`<a class="av-control toggle simplepeer-spotlight-control"
+        title="${game.i18n.localize(`${LANG_NAME}.${spotlighted ? "moderationSpotlightOff" : "moderationSpotlight"}`)}">
+        <i class="fas fa-star"></i>
+      </a>`);
+      spotlightControl.toggleClass("active", spotlighted);
+      spotlightControl.on("click", () => moderation.setSpotlight(spotlighted ? null : userId));
+      controlBar.append(spotlightControl);
+
+      // Other GMs can't be moderated
+      if (user.isGM) continue;
+
+      const muted = moderation.isMuted(userId);
+      const muteControl = $(`<a class="av-control toggle simplepeer-force-mute"
+        title="${game.i18n.localize(`${LANG_NAME}.${muted ? "moderationUnmute" : "moderationMute"}`)}">
+        <i class="fas fa-microphone-slash"></i>
+      </a>`);
+      muteControl.toggleClass("active", muted);
+      muteControl.on("click", () => moderation.setMuted(userId, !muted));
+      controlBar.append(muteControl);
+
+      const hidden = moderation.isHidden(userId);
+      const hideControl = $(`<a class="av-control toggle simplepeer-force-hide"
+        title="${game.i18n.localize(`${LANG_NAME}.${hidden ? "moderationShow" : "moderationHide"}`)}">
+        <i class="fas fa-video-slash"></i>
+      </a>`);
+      hideControl.toggleClass("active", hidden);
+      hideControl.on("click", () => moderation.setHidden(userId, !hidden));
+      controlBar.append(hideControl);
+
+      const volumeControl = $(`<a class="av-control toggle simplepeer-moderated-volume"
+        title="${game.i18n.localize(`${LANG_NAME}.moderationVolume`)}">
+        <i class="fas fa-volume-down"></i>
+      </a>`);
+      volumeControl.toggleClass("active", moderation.getVolume(userId) < 1);
+      volumeControl.on("click", () => this.promptVolume(userId));
+      controlBar.append(volumeControl);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * As a GM, ask for the volume to hear a user at for everyone
+   * @param {string} userId       The User ID
+   */
+  async promptVolume(userId) {
+    const user = game.users.get(userId);
+    const hint = game.i18n.format(`${LANG_NAME}.moderationVolumeHint`, {
+      user: helpers.escapeHtml(user.name),
+    });
+    const volume = await Dialog.prompt({
+      title: game.i18n.localize(`${LANG_NAME}.moderationVolume`),
+      content: `<p>${hint}</p>
+        <input type="range" name="volume" min="0" max="1" step="0.05"
+          value="${moderation.getVolume(userId)}"/>`,
+      label: game.i18n.localize(`${LANG_NAME}.moderationVolumeApply`),
+      callback: (html) => Number(html.find("input[name=volume]").val()),
+      rejectClose: false,
+    });
+    if (typeof volume !== "number" || Number.isNaN(volume)) return;
+
+    moderation.setVolume(userId, volume);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * As a GM, ask every player to mute their microphone. They can unmute themselves afterwards.
+   */
+  requestMuteAll() {
+    for (const user of game.users.filter((u) => u.active && !u.isGM)) {
+      this.simplePeerClient.sendModeration(user.id, { command: "request-mute" });
+    }
+    ui.notifications.info(game.i18n.localize(`${LANG_NAME}.moderationRequestMuteSent`));
+  }
+}
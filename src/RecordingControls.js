@@ -0,0 +1,72 @@
+import { LANG_NAME } from "./utils/constants.js";
+
+/**
+ * Shows everyone when the call is being recorded, and gives GMs the controls to record it and
+ * mark moments in the recording from their camera view.
+ * @param {SimplePeerClient} simplePeerClient   The client recording the call
+ */
+export default class RecordingControls {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add the recording notice and controls to the camera views
+   * @param {CameraViews} cameraViews
+   * @param {jQuery} html
+   */
+  onRenderCameraViews(cameraViews, html) {
+    const { sessionRecorder, recordingUsers } = this.simplePeerClient;
+
+    // Make sure everyone can see when the call is being recorded
+    if (sessionRecorder || recordingUsers.size > 0) {
+      html.find(".simplepeer-recording").remove();
+      html.prepend(`<div class="simplepeer-recording">
+        <i class="fas fa-circle"></i> ${game.i18n.localize(`${LANG_NAME}.recording`)}
+      </div>`);
+    }
+
+    // Add the recording controls to the GM's camera view
+    if (!game.user.isGM) return;
+
+    const controlBar = html.find(`.camera-view[data-user="${game.user.id}"] .control-bar`).first();
+    const title = game.i18n.localize(sessionRecorder
+      ? `${LANG_NAME}.stopRecording` : `${LANG_NAME}.startRecording`);
+    const control = $(`<a class="av-control toggle simplepeer-record" title="${title}">
+      <i class="fas ${sessionRecorder ? "fa-stop-circle" : "fa-record-vinyl"}"></i>
+    </a>`);
+    control.toggleClass("active", !!sessionRecorder);
+    control.on("click", () => (sessionRecorder
+      ? this.simplePeerClient.stopRecording() : this.simplePeerClient.startRecording()));
+    controlBar.append(control);
+
+    if (sessionRecorder) {
+      const markerControl = $(`<a class="av-control simplepeer-recording-marker"
+        title="${game.i18n.localize(`${LANG_NAME}.addRecordingMarker`)}">
+        <i class="fas fa-bookmark"></i>
+      </a>`);
+      markerControl.on("click", () => this.promptMarker());
+      controlBar.append(markerControl);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * As a GM, ask for the label of a marker to add to the recording
+   */
+  async promptMarker() {
+    const label = await Dialog.prompt({
+      title: game.i18n.localize(`${LANG_NAME}.addRecordingMarker`),
+      content: `<form><div class="form-group">
+        <label>${game.i18n.localize(`${LANG_NAME}.recordingMarkerLabel`)}</label>
+        <input type="text" name="label" autofocus/>
+      </div></form>`,
+      callback: (html) => html.find("input[name=label]").val(),
+      rejectClose: false,
+    });
+    if (label) this.simplePeerClient.addRecordingMarker(label);
+  }
+}
@@ -0,0 +1,179 @@
+import * as log from "./utils/logging.js";
+
+// Time constant (seconds) used to smooth gain and pan changes
+const PARAMETER_SMOOTHING = 0.1;
+// Cut-off frequency used to muffle sound heard through walls
+const MUFFLED_FREQUENCY = 800;
+
+/**
+ * Plays the audio of remote users through a Web Audio graph so it can be adjusted per user.
+ * Each user's audio goes through a volume gain, a spatial gain, a stereo panner and a low-pass
+ * filter before being mixed into a single output element, which allows choosing the output device.
+ * The audio context is only created once a user's audio is added to the mix.
+ */
+export default class RemoteAudioMixer {
+  constructor() {
+    this.audioContext = null;
+    this.nodes = new Map();
+
+    this._masterGain = null;
+    this._muted = false;
+    this._outputElement = null;
+    this._sinkId = "";
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create the audio context and output on first use
+   * @private
+   */
+  _initAudioContext() {
+    if (this.audioContext) return;
+
+    this.audioContext = new AudioContext();
+    this._masterGain = this.audioContext.createGain();
+    this._masterGain.gain.value = this._muted ? 0 : 1;
+    const destination = this.audioContext.createMediaStreamDestination();
+    this._masterGain.connect(destination);
+
+    this._outputElement = new Audio();
+    this._outputElement.srcObject = destination.stream;
+    this._outputElement.play().catch((err) => log.debug("Audio output waiting for interaction:", err));
+
+    // Browsers only allow audio to start after the user has interacted with the page
+    const resume = () => {
+      this.audioContext.resume();
+      this._outputElement.play().catch((err) => log.warn("Unable to start audio output:", err));
+    };
+    document.addEventListener("pointerdown", resume, { once: true });
+    document.addEventListener("keydown", resume, { once: true });
+
+    this.setSinkId(this._sinkId);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove a user's audio from the mix
+   * @param {string} userId       The User ID
+   */
+  removeStream(userId) {
+    const nodes = this.nodes.get(userId);
+    if (!nodes) return;
+
+    nodes.source.disconnect();
+    nodes.filter.disconnect();
+    nodes.element.srcObject = null;
+    this.nodes.delete(userId);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Mute or unmute all remote audio
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this._muted = muted;
+    if (this._masterGain) this._masterGain.gain.value = muted ? 0 : 1;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Set the audio output device
+   * @param {string} sinkId       The device ID
+   */
+  async setSinkId(sinkId) {
+    this._sinkId = sinkId || "";
+    if (!this._outputElement) return;
+    if (typeof this._outputElement.sinkId === "undefined") {
+      log.debug("Browser does not support output device selection");
+      return;
+    }
+
+    try {
+      await this._outputElement.setSinkId(this._sinkId);
+    } catch (err) {
+      log.error("Error setting audio output device:", err);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Set how a user is heard in space
+   * @param {string} userId       The User ID
+   * @param {object} spatial
+   * @param {number} spatial.gain       The volume, from 0 to 1
+   * @param {number} spatial.pan        The stereo position, from -1 (left) to 1 (right)
+   * @param {boolean} spatial.muffled   Should high frequencies be cut, e.g. behind a wall
+   */
+  setSpatial(userId, { gain, pan, muffled }) {
+    const nodes = this.nodes.get(userId);
+    if (!nodes) return;
+
+    const now = this.audioContext.currentTime;
+    nodes.spatialGain.gain.setTargetAtTime(gain, now, PARAMETER_SMOOTHING);
+    nodes.panner.pan.setTargetAtTime(pan, now, PARAMETER_SMOOTHING);
+    nodes.filter.frequency.setTargetAtTime(
+      muffled ? MUFFLED_FREQUENCY : this.audioContext.sampleRate / 2,
+      now,
+      PARAMETER_SMOOTHING,
+    );
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Set the volume of a user
+   * @param {string} userId       The User ID
+   * @param {number} volume       The volume, where 1 is unchanged and 0 is muted
+   */
+  setVolume(userId, volume) {
+    const nodes = this.nodes.get(userId);
+    if (!nodes) return;
+
+    nodes.volumeGain.gain.setTargetAtTime(volume, this.audioContext.currentTime, PARAMETER_SMOOTHING);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add or replace a user's audio in the mix
+   * @param {string} userId         The User ID
+   * @param {MediaStream} stream    The user's stream
+   */
+  setStream(userId, stream) {
+    this.removeStream(userId);
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    this._initAudioContext();
+
+    // Chrome only passes remote audio to Web Audio if the stream is also played by an element
+    const element = new Audio();
+    element.muted = true;
+    element.srcObject = stream;
+    element.play().catch(() => {});
+
+    const nodes = {
+      element,
+      source: this.audioContext.createMediaStreamSource(stream),
+      volumeGain: this.audioContext.createGain(),
+      spatialGain: this.audioContext.createGain(),
+      panner: this.audioContext.createStereoPanner(),
+      filter: this.audioContext.createBiquadFilter(),
+    };
+    nodes.filter.type = "lowpass";
+    nodes.filter.frequency.value = this.audioContext.sampleRate / 2;
+
+    nodes.source.connect(nodes.volumeGain);
+    nodes.volumeGain.connect(nodes.spatialGain);
+    nodes.spatialGain.connect(nodes.panner);
+    nodes.panner.connect(nodes.filter);
+    nodes.filter.connect(this._masterGain);
+
+    this.nodes.set(userId, nodes);
+  }
+}
@@ -0,0 +1,34 @@
+import { LANG_NAME } from "./utils/constants.js";
+
+/**
+ * Gives users allowed to share their screen the control to start and stop sharing it from their
+ * camera view.
+ * @param {SimplePeerClient} simplePeerClient   The client sharing the screen
+ */
+export default class ScreenShareControls {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add the screen share control to our own camera view
+   * @param {CameraViews} cameraViews
+   * @param {jQuery} html
+   */
+  onRenderCameraViews(cameraViews, html) {
+    const client = this.simplePeerClient;
+    if (!client.canUserShareScreen(game.user.id)) return;
+
+    const controlBar = html.find(`.camera-view[data-user="${game.user.id}"] .control-bar`).first();
+    const title = game.i18n.localize(client.screenStream
+      ? `${LANG_NAME}.stopScreenShare` : `${LANG_NAME}.startScreenShare`);
+    const control = $(`<a class="av-control toggle simplepeer-screen-share" title="${title}">
+      <i class="fas fa-desktop"></i>
+    </a>`);
+    control.toggleClass("active", !!client.screenStream);
+    control.on("click", () => (client.screenStream ? client.stopScreenShare() : client.startScreenShare()));
+    controlBar.append(control);
+  }
+}
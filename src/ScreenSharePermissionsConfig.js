@@ -0,0 +1,39 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+
+/**
+ * A form for the GM to choose which players are allowed to share their screen.
+ * Gamemasters are always allowed to share.
+ * @extends {FormApplication}
+ */
+export default class ScreenSharePermissionsConfig extends FormApplication {
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: "simplepeer-screen-share-permissions",
+      title: game.i18n.localize(`${LANG_NAME}.screenSharePermissions`),
+      template: `modules/${MODULE_NAME}/templates/screen-share-permissions.html`,
+      width: 400,
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  getData() {
+    const allowedUsers = game.settings.get(MODULE_NAME, "screenShareUsers");
+
+    return {
+      users: game.users.filter((u) => !u.isGM).map((u) => ({
+        id: u.id,
+        name: u.name,
+        allowed: !!allowedUsers[u.id],
+      })),
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    await game.settings.set(MODULE_NAME, "screenShareUsers", formData);
+  }
+}
@@ -0,0 +1,61 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+import * as log from "./utils/logging.js";
+
+/**
+ * A popout window showing the screen shared by a remote user
+ * @extends {Application}
+ * @param {User} user               The user sharing their screen
+ * @param {MediaStream} stream      The shared screen stream
+ * @param {string} audioSink        The audio output device for the shared audio
+ */
+export default class ScreenSharePopout extends Application {
+  constructor(user, stream, audioSink, options = {}) {
+    super(options);
+
+    this.user = user;
+    this.stream = stream;
+    this.audioSink = audioSink;
+  }
+
+  /* -------------------------------------------- */
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      classes: ["simplepeer-screen-share"],
+      template: `modules/${MODULE_NAME}/templates/screen-share.html`,
+      width: 960,
+      height: 580,
+      resizable: true,
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  get id() {
+    return `simplepeer-screen-share-${this.user.id}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  get title() {
+    return game.i18n.format(`${LANG_NAME}.screenShareTitle`, { user: this.user.name });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    const videoElement = html.find("video")[0];
+    videoElement.srcObject = this.stream;
+
+    if (typeof videoElement.sinkId !== "undefined") {
+      videoElement.setSinkId(this.audioSink).catch((err) => {
+        log.error("Error setting screen share audio output device:", err);
+      });
+    }
+  }
+}
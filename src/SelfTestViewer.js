@@ -0,0 +1,450 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+import * as log from "./utils/logging.js";
+import { summarizeStats } from "./utils/peerStats.js";
+
+import VoiceActivityDetector from "./VoiceActivityDetector.js";
+
+// How often (ms) the microphone level meter is updated
+const METER_INTERVAL = 100;
+// Range of audio levels (dB) shown by the meter
+const METER_MIN_LEVEL = -80;
+const METER_MAX_LEVEL = 0;
+// How long (ms) media is sent through the loopback connection before checking it was decoded
+const LOOPBACK_DURATION = 3000;
+// How long (ms) to wait for ICE candidates to be gathered
+const ICE_GATHERING_TIMEOUT = 10000;
+// Frequency (Hz) and duration (ms) of the test tone
+const TEST_TONE_FREQUENCY = 440;
+const TEST_TONE_DURATION = 1500;
+
+/**
+ * A window that checks the user's setup before joining the call: the camera and microphone are
+ * opened with the same constraints as the call, a test tone is played on the selected speakers,
+ * media is sent through a local loopback connection, and the configured STUN and TURN servers
+ * are checked by gathering ICE candidates.
+ * @extends {Application}
+ * @param {SimplePeerClient} simplePeerClient   The client whose settings are tested
+ */
+export default class SelfTestViewer extends Application {
+  constructor(simplePeerClient, options = {}) {
+    super(options);
+
+    this.simplePeerClient = simplePeerClient;
+    this.results = {};
+    this.stream = null;
+
+    this._levelDetector = null;
+    this._meterInterval = null;
+    this._peerConnections = [];
+    this._testRun = 0;
+  }
+
+  /* -------------------------------------------- */
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: "simplepeer-self-test",
+      classes: ["simplepeer-self-test"],
+      title: game.i18n.localize(`${LANG_NAME}.selfTest`),
+      template: `modules/${MODULE_NAME}/templates/self-test.html`,
+      width: 480,
+      height: "auto",
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  getData() {
+    const result = (name) => {
+      const { status = "pending", message = "" } = this.results[name] || {};
+      return { status, message, pending: status === "pending" };
+    };
+
+    return {
+      video: result("video"),
+      audio: result("audio"),
+      speakers: result("speakers"),
+      loopback: result("loopback"),
+      host: result("host"),
+      stun: result("stun"),
+      turn: result("turn"),
+      hasVideo: !!this.stream && this.stream.getVideoTracks().length > 0,
+      hasAudio: !!this.stream && this.stream.getAudioTracks().length > 0,
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    const preview = html.find("video.simplepeer-self-test-preview")[0];
+    if (preview && this.stream) {
+      preview.srcObject = new MediaStream(this.stream.getVideoTracks());
+    }
+
+    html.find("[data-action=tone]").click(this._onPlayTone.bind(this));
+    html.find("[data-action=rerun]").click(this._onRerun.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _render(force = false, options = {}) {
+    const firstRender = !this.rendered;
+    await super._render(force, options);
+
+    if (firstRender) {
+      this.runTests().catch((err) => log.error("Self-test: error running the tests:", err));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async close(options) {
+    this._stopTests();
+    this._testRun += 1;
+
+    return super.close(options);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Run every test again from the start
+   */
+  async runTests() {
+    this._stopTests();
+    this._testRun += 1;
+    const run = this._testRun;
+    this.results = {};
+    this.render();
+
+    const stream = await this._testMedia();
+    if (run !== this._testRun) {
+      for (const track of stream.getTracks()) {
+        track.stop();
+      }
+      return;
+    }
+    this.stream = stream;
+
+    this._startMeter();
+    this.render();
+
+    await Promise.all([this._testLoopback(run), this._testIce(run)]);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Open the camera and microphone with the constraints used for the call
+   * @return {Promise<MediaStream>}   The stream of the devices that could be opened
+   * @private
+   */
+  async _testMedia() {
+    const constraints = this.simplePeerClient.getMediaConstraints();
+    const stream = new MediaStream();
+
+    for (const kind of ["audio", "video"]) {
+      if (!constraints[kind]) {
+        this.results[kind] = {
+          status: "skipped",
+          message: game.i18n.localize(`${LANG_NAME}.selfTestNoDevice`),
+        };
+        continue;
+      }
+
+      try {
+        const kindStream = await navigator.mediaDevices.getUserMedia({ [kind]: constraints[kind] });
+        const [track] = kindStream.getTracks();
+        stream.addTrack(track);
+
+        const { width, height } = track.getSettings();
+        this.results[kind] = {
+          status: "ok",
+          message: (kind === "video" && width) ? `${track.label} (${width}×${height})` : track.label,
+        };
+      } catch (err) {
+        log.warn("Self-test:", kind, "device failed:", err);
+        this.results[kind] = {
+          status: "failed",
+          message: this.simplePeerClient.getMediaErrorMessage(kind, err),
+        };
+      }
+    }
+
+    return stream;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Show the microphone level on the meter
+   * @private
+   */
+  _startMeter() {
+    if (this.stream.getAudioTracks().length === 0) return;
+
+    this._levelDetector = new VoiceActivityDetector(this.stream, {
+      getThreshold: () => this.simplePeerClient.settings.get("client", "voice.activityThreshold"),
+      getHangTime: () => 0,
+      onSpeakingChange: () => {},
+      cloneTracks: false,
+    });
+    this._levelDetector.start();
+
+    this._meterInterval = setInterval(() => {
+      if (!this.rendered) return;
+
+      const { level } = this._levelDetector;
+      const percent = Math.clamped(
+        ((level - METER_MIN_LEVEL) / (METER_MAX_LEVEL - METER_MIN_LEVEL)) * 100,
+        0,
+        100,
+      );
+      const meter = this.element.find(".simplepeer-self-test-meter div");
+      meter.css("width", `${percent}%`);
+      meter.toggleClass("speaking", level > this._levelDetector.getThreshold());
+    }, METER_INTERVAL);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Send the media through a connection to ourselves and check it is decoded on the other end
+   * @param {number} run          The test run, to stop when the tests are restarted
+   * @private
+   */
+  async _testLoopback(run) {
+    const tracks = this.stream.getTracks();
+    if (tracks.length === 0) {
+      this.results.loopback = {
+        status: "skipped",
+        message: game.i18n.localize(`${LANG_NAME}.selfTestLoopbackNoMedia`),
+      };
+      this.render();
+      return;
+    }
+
+    const sender = new RTCPeerConnection();
+    const receiver = new RTCPeerConnection();
+    this._peerConnections.push(sender, receiver);
+    sender.addEventListener("icecandidate", (event) => {
+      if (event.candidate) receiver.addIceCandidate(event.candidate).catch(() => {});
+    });
+    receiver.addEventListener("icecandidate", (event) => {
+      if (event.candidate) sender.addIceCandidate(event.candidate).catch(() => {});
+    });
+
+    try {
+      for (const track of tracks) {
+        sender.addTrack(track, this.stream);
+      }
+      await sender.setLocalDescription(await sender.createOffer());
+      await receiver.setRemoteDescription(sender.localDescription);
+      await receiver.setLocalDescription(await receiver.createAnswer());
+      await sender.setRemoteDescription(receiver.localDescription);
+
+      await new Promise((resolve) => setTimeout(resolve, LOOPBACK_DURATION));
+      if (run !== this._testRun) return;
+
+      // Every kind sent must have arrived and been decoded
+      const report = await receiver.getStats();
+      const decoded = new Set();
+      report.forEach((stat) => {
+        if (stat.type !== "inbound-rtp" || !(stat.packetsReceived > 0)) return;
+        const kind = stat.kind || stat.mediaType;
+        if (kind === "audio" || stat.framesDecoded > 0) decoded.add(kind);
+      });
+      const codecs = summarizeStats(report).inbound.map((rtp) => rtp.codec).filter((c) => c);
+
+      const failed = tracks.filter((t) => !decoded.has(t.kind));
+      this.results.loopback = (failed.length === 0)
+        ? {
+          status: "ok",
+          message: game.i18n.format(`${LANG_NAME}.selfTestLoopbackOk`, { codecs: codecs.join(", ") }),
+        } : {
+          status: "failed",
+          message: game.i18n.format(`${LANG_NAME}.selfTestLoopbackFailed`, {
+            kinds: failed.map((t) => t.kind).join(", "),
+          }),
+        };
+    } catch (err) {
+      if (run !== this._testRun) return;
+      log.warn("Self-test: loopback connection failed:", err);
+      this.results.loopback = {
+        status: "failed",
+        message: game.i18n.format(`${LANG_NAME}.selfTestLoopbackFailed`, {
+          kinds: tracks.map((t) => t.kind).join(", "),
+        }),
+      };
+    } finally {
+      sender.close();
+      receiver.close();
+    }
+
+    if (run === this._testRun) this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Gather ICE candidates with the configured servers, to check which kinds of connection
+   * other users will be able to make
+   * @param {number} run          The test run, to stop when the tests are restarted
+   * @private
+   */
+  async _testIce(run) {
+    if (!this.simplePeerClient.peerConfig.iceServers) {
+      try {
+        await this.simplePeerClient.updatePeerConfig();
+      } catch (err) {
+        log.warn("Self-test: unable to get the ICE server configuration:", err);
+        if (run !== this._testRun) return;
+
+        const failed = {
+          status: "failed",
+          message: game.i18n.format(`${LANG_NAME}.selfTestIceConfigFailed`, { error: err.message }),
+        };
+        this.results.host = failed;
+        this.results.stun = failed;
+        this.results.turn = failed;
+        this.render();
+        return;
+      }
+    }
+    const { iceServers } = this.simplePeerClient.peerConfig;
+    const urls = iceServers.flatMap((server) => [].concat(server.urls || server.url || []));
+    const hasStun = urls.some((url) => url.startsWith("stun:"));
+    const hasTurn = urls.some((url) => url.startsWith("turn:") || url.startsWith("turns:"));
+
+    // Gather every kind of candidate, even when connections are limited to the TURN servers
+    const connection = new RTCPeerConnection({ iceServers, iceTransportPolicy: "all" });
+    this._peerConnections.push(connection);
+    const candidateTypes = new Set();
+    connection.addEventListener("icecandidate", (event) => {
+      if (event.candidate && event.candidate.type) candidateTypes.add(event.candidate.type);
+    });
+
+    try {
+      connection.createDataChannel("self-test");
+      const gathered = new Promise((resolve) => {
+        connection.addEventListener("icegatheringstatechange", () => {
+          if (connection.iceGatheringState === "complete") resolve();
+        });
+        setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+      });
+      await connection.setLocalDescription(await connection.createOffer());
+      await gathered;
+    } catch (err) {
+      log.warn("Self-test: ICE gathering failed:", err);
+    } finally {
+      connection.close();
+    }
+    if (run !== this._testRun) return;
+
+    log.debug("Self-test: gathered ICE candidate types:", candidateTypes);
+    const result = (found, configured, name) => {
+      if (!configured) {
+        return { status: "skipped", message: game.i18n.localize(`${LANG_NAME}.selfTestIceNotConfigured`) };
+      }
+      return {
+        status: found ? "ok" : "failed",
+        message: game.i18n.localize(`${LANG_NAME}.selfTestIce${name}${found ? "Ok" : "Failed"}`),
+      };
+    };
+    this.results.host = result(candidateTypes.has("host"), true, "Host");
+    this.results.stun = result(candidateTypes.has("srflx"), hasStun, "Stun");
+    this.results.turn = result(candidateTypes.has("relay"), hasTurn, "Turn");
+
+    // With relay only, nobody can connect without a working TURN server
+    if (game.settings.get(MODULE_NAME, "forceRelay") && !candidateTypes.has("relay")) {
+      this.results.turn.message = game.i18n.localize(`${LANG_NAME}.selfTestIceRelayOnly`);
+      this.results.turn.status = "failed";
+    }
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Stop the media and connections of the current test run
+   * @private
+   */
+  _stopTests() {
+    clearInterval(this._meterInterval);
+    this._meterInterval = null;
+    if (this._levelDetector) {
+      this._levelDetector.stop();
+      this._levelDetector = null;
+    }
+
+    for (const connection of this._peerConnections) {
+      connection.close();
+    }
+    this._peerConnections = [];
+
+    if (this.stream) {
+      for (const track of this.stream.getTracks()) {
+        track.stop();
+      }
+      this.stream = null;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Play a tone on the selected speakers
+   * @private
+   */
+  async _onPlayTone(event) {
+    event.preventDefault();
+
+    const audioContext = new AudioContext();
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const destination = audioContext.createMediaStreamDestination();
+    oscillator.frequency.value = TEST_TONE_FREQUENCY;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain).connect(destination);
+
+    const element = new Audio();
+    element.srcObject = destination.stream;
+    try {
+      const sinkId = this.simplePeerClient.settings.get("client", "audioSink");
+      if (sinkId && element.setSinkId) await element.setSinkId(sinkId);
+
+      oscillator.start();
+      await element.play();
+      this.results.speakers = {
+        status: "ok",
+        message: game.i18n.localize(`${LANG_NAME}.selfTestToneOk`),
+      };
+    } catch (err) {
+      log.warn("Self-test: unable to play the test tone:", err);
+      this.results.speakers = {
+        status: "failed",
+        message: game.i18n.localize(`${LANG_NAME}.selfTestToneFailed`),
+      };
+    }
+    this.render();
+
+    setTimeout(() => {
+      element.srcObject = null;
+      audioContext.close();
+    }, TEST_TONE_DURATION);
+  }
+
+  /* -------------------------------------------- */
+
+  _onRerun(event) {
+    event.preventDefault();
+
+    this.runTests().catch((err) => log.error("Self-test: error running the tests:", err));
+  }
+}
@@ -0,0 +1,240 @@
+import { LANG_NAME } from "./utils/constants.js";
+import * as log from "./utils/logging.js";
+
+const RECORDING_MIME_TYPE = "audio/webm;codecs=opus";
+// How often (ms) recorders hand over their recorded data
+const RECORDING_TIMESLICE = 1000;
+
+/**
+ * Format a recording offset as a WebVTT timestamp
+ * @param {number} ms           The offset in milliseconds
+ * @return {string}
+ */
+function formatTimestamp(ms) {
+  return new Date(Math.max(ms, 0)).toISOString().slice(11, 23);
+}
+
+/**
+ * Records the audio of the call to WebM/Opus files.
+ * The audio of every user is mixed into a single recording; optionally each speaker is also
+ * recorded to a separate file. Markers are kept alongside the recording and saved as a WebVTT
+ * chapter file.
+ * @param {object} options
+ * @param {boolean} [options.separateTracks=false]  Also record each speaker to their own file
+ */
+export default class SessionRecorder {
+  constructor({ separateTracks = false } = {}) {
+    this.separateTracks = separateTracks;
+
+    this.startTime = null;
+    this.markers = [];
+    this.files = [];
+
+    this._audioContext = null;
+    this._finishing = [];
+    this._mixDestination = null;
+    this._mixRecorder = null;
+    this._speakers = new Map();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is the browser able to record the call?
+   * @return {boolean}
+   */
+  static get isSupported() {
+    return typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported(RECORDING_MIME_TYPE);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is a recording in progress?
+   * @return {boolean}
+   */
+  get recording() {
+    return !!this._mixRecorder && this._mixRecorder.recorder.state === "recording";
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create a recorder that collects its data into a list of chunks
+   * @param {MediaStream} stream    The stream to record
+   * @return {{recorder: MediaRecorder, chunks: Blob[], stopped: Promise}}
+   * @private
+   */
+  _createRecorder(stream) {
+    const recorder = new MediaRecorder(stream, { mimeType: RECORDING_MIME_TYPE });
+    const chunks = [];
+    recorder.addEventListener("dataavailable", (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    const stopped = new Promise((resolve) => recorder.addEventListener("stop", resolve));
+    recorder.addEventListener("error", (event) => log.error("Recording error:", event.error));
+
+    recorder.start(RECORDING_TIMESLICE);
+    return { recorder, chunks, stopped };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Stop a speaker's separate recording and keep the recorded file.
+   * A speaker whose stream is replaced, e.g. after reconnecting, gets a new numbered part.
+   * @param {object} speaker      The speaker's recording state
+   * @private
+   */
+  _finishSpeakerRecording(speaker) {
+    if (!speaker.track) return;
+
+    const { recorder, chunks, stopped } = speaker.track;
+    speaker.track = null;
+    speaker.part += 1;
+    const name = `${speaker.name}${speaker.part > 1 ? `-${speaker.part}` : ""}.webm`;
+
+    if (recorder.state !== "inactive") recorder.stop();
+    this._finishing.push(stopped.then(() => {
+      this.files.push({ name, blob: new Blob(chunks, { type: RECORDING_MIME_TYPE }) });
+    }));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add a marker at the current point of the recording
+   * @param {string} label        The marker label
+   */
+  addMarker(label) {
+    if (!this.recording) return;
+    this.markers.push({ time: Date.now() - this.startTime, label });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add or replace a speaker's audio in the recording
+   * @param {string} userId         The User ID
+   * @param {MediaStream} stream    The user's stream
+   */
+  addStream(userId, stream) {
+    if (!this.recording) return;
+
+    const previous = this._speakers.get(userId);
+    const isNew = !previous || !previous.source;
+    this.removeStream(userId, { marker: false });
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    const user = game.users.get(userId);
+    const speaker = {
+      name: user ? user.name : userId,
+      source: this._audioContext.createMediaStreamSource(stream),
+      track: null,
+      // Speakers keep numbering their separate files when they leave and come back
+      part: previous ? previous.part : 0,
+    };
+    speaker.source.connect(this._mixDestination);
+
+    if (this.separateTracks) {
+      speaker.track = this._createRecorder(new MediaStream(stream.getAudioTracks()));
+    }
+
+    this._speakers.set(userId, speaker);
+
+    if (isNew) {
+      this.addMarker(game.i18n.format(`${LANG_NAME}.recordingUserJoined`, { user: speaker.name }));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove a speaker's audio from the recording
+   * @param {string} userId         The User ID
+   * @param {object} [options]
+   * @param {boolean} [options.marker=true]   Add a marker for the speaker leaving
+   */
+  removeStream(userId, { marker = true } = {}) {
+    const speaker = this._speakers.get(userId);
+    if (!speaker || !speaker.source) return;
+
+    speaker.source.disconnect();
+    speaker.source = null;
+    this._finishSpeakerRecording(speaker);
+
+    if (marker) {
+      this.addMarker(game.i18n.format(`${LANG_NAME}.recordingUserLeft`, { user: speaker.name }));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Get the markers as a WebVTT chapter file
+   * @param {number} duration       The length of the recording in milliseconds
+   * @return {string}
+   */
+  getChapters(duration) {
+    const cues = this.markers.map((marker, i) => {
+      const end = i + 1 < this.markers.length ? this.markers[i + 1].time : duration;
+      return `${i + 1}\n${formatTimestamp(marker.time)} --> ${formatTimestamp(end)}\n${marker.label}`;
+    });
+    return ["WEBVTT", ...cues].join("\n\n");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Start recording
+   * @param {Map<string,MediaStream>} streams   The streams to record, by User ID
+   */
+  start(streams) {
+    if (this.recording) return;
+
+    this._audioContext = new AudioContext();
+    this._mixDestination = this._audioContext.createMediaStreamDestination();
+    this._mixRecorder = this._createRecorder(this._mixDestination.stream);
+    this.startTime = Date.now();
+    this.markers = [];
+    this.files = [];
+    this._finishing = [];
+
+    this.addMarker(game.i18n.localize(`${LANG_NAME}.recordingStarted`));
+    for (const [userId, stream] of streams) {
+      this.addStream(userId, stream);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Stop recording
+   * @return {Promise<{name: string, blob: Blob}[]>}  The recorded files
+   */
+  async stop() {
+    if (!this._mixRecorder) return [];
+
+    const duration = Date.now() - this.startTime;
+    for (const userId of this._speakers.keys()) {
+      this.removeStream(userId, { marker: false });
+    }
+    this._speakers.clear();
+    await Promise.all(this._finishing);
+
+    const { recorder, chunks, stopped } = this._mixRecorder;
+    this._mixRecorder = null;
+    if (recorder.state !== "inactive") recorder.stop();
+    await stopped;
+
+    this._audioContext.close();
+    this._audioContext = null;
+    this._mixDestination = null;
+
+    return [
+      { name: "session.webm", blob: new Blob(chunks, { type: RECORDING_MIME_TYPE }) },
+      ...this.files,
+      { name: "chapters.vtt", blob: new Blob([this.getChapters(duration)], { type: "text/vtt" }) },
+    ];
+  }
+}
@@ -1,6 +1,7 @@
-// import { MODULE_NAME } from "./utils/constants.js";
+import { MODULE_NAME } from "./utils/constants.js";
 import { deviceInfoToObject } from "./utils/helpers.js";
 import * as log from "./utils/logging.js";
+import * as moderation from "./utils/moderation.js";
 
 import SimplePeerClient from "./SimplePeerClient.js";
 
@@ -38,17 +39,108 @@ export default class SimplePeerAVClient extends AVClient {
     const localInit = await this._simplePeerClient.initLocalStream();
     if (!localInit) return false;
 
-    // Set up the socket listeners
+    // Set up the socket listeners, before asking a GM for TURN credentials so we get the answer
     this._simplePeerClient.initSocketListeners();
 
+    // Set up the STUN/TURN server configuration
+    await this._simplePeerClient.updatePeerConfig();
+
+    // Keep outgoing video quality matched to the connections
+    this._simplePeerClient.initVideoEncodingUpdates();
+
+    // Keep the peers in sync with the users that are logged in
+    Hooks.on("userConnected", (user, connected) => {
+      if (user.isSelf) return;
+      this._simplePeerClient.syncPeers();
+
+      // Get TURN credentials from GMs that join, in case no GM could give them before
+      if (user.isGM && connected && !game.user.isGM) this._simplePeerClient.updatePeerConfig();
+
+      // Let GMs that join see the codecs of our connections
+      if (user.isGM && connected) {
+        for (const userId of this._simplePeerClient.peers.keys()) {
+          this._simplePeerClient.reportCodecs(userId);
+        }
+      }
+    });
+    Hooks.on(`${MODULE_NAME}TopologyChanged`, this._simplePeerClient.syncPeers.bind(this._simplePeerClient));
+
+    // Follow devices being plugged in or removed
+    this._simplePeerClient.deviceMonitor.start();
+
+    // Set up the output of remote audio
+    this._simplePeerClient.setAudioSinkId(this.settings.get("client", "audioSink"));
+    this._simplePeerClient.audioMixer.setMuted(this.settings.get("client", "muteAll"));
+
+    // Follow token movement for spatial audio
+    const updateSpatialAudio = this._simplePeerClient.updateSpatialAudio.bind(this._simplePeerClient);
+    const spatialAudioHooks = [
+      "canvasReady",
+      "controlToken",
+      "createToken",
+      "deleteToken",
+      "updateScene",
+      "updateToken",
+    ];
+    for (const hook of spatialAudioHooks) {
+      Hooks.on(hook, updateSpatialAudio);
+    }
+    Hooks.on(`${MODULE_NAME}SpatialAudioChanged`, updateSpatialAudio);
+
+    // Show the connection state of peers in the camera views, and each feature's controls
+    const cameraViewControls = [
+      this._simplePeerClient,
+      this._simplePeerClient.screenShareControls,
+      this._simplePeerClient.recordingControls,
+      this._simplePeerClient.voiceRoomControls,
+      this._simplePeerClient.fileTransfers,
+      this._simplePeerClient.moderationControls,
+      this._simplePeerClient.userAudioControls,
+    ];
+    for (const controls of cameraViewControls) {
+      Hooks.on("renderCameraViews", controls.onRenderCameraViews.bind(controls));
+    }
+
+    // Apply audio processing changes to the live stream
+    Hooks.on(`${MODULE_NAME}AudioProcessingChanged`, this._simplePeerClient.onAudioProcessingChanged.bind(this._simplePeerClient));
+
+    // Apply video quality changes to the live stream
+    Hooks.on(`${MODULE_NAME}VideoQualityChanged`, this._simplePeerClient.onVideoQualityChanged.bind(this._simplePeerClient));
+
+    // Receive files sent over the data channels
+    Hooks.on(`${MODULE_NAME}DataReceived`, this._simplePeerClient.fileTransfers.onData.bind(this._simplePeerClient.fileTransfers));
+
+    // Apply codec changes to the connections
+    Hooks.on(`${MODULE_NAME}CodecsChanged`, this._simplePeerClient.onCodecsChanged.bind(this._simplePeerClient));
+
+    // Apply the moderation the GMs have in place for everyone
+    this._simplePeerClient.moderatedSelf = {
+      muted: moderation.isMuted(game.user.id),
+      hidden: moderation.isHidden(game.user.id),
+    };
+    Hooks.on(`${MODULE_NAME}ModerationChanged`, this._simplePeerClient.onModerationChanged.bind(this._simplePeerClient));
+
+    // Tell the user about recordings, including one that runs as they join
+    Hooks.on(`${MODULE_NAME}RecordingChanged`, this._simplePeerClient.onRecordingChanged.bind(this._simplePeerClient));
+    this._simplePeerClient.onRecordingChanged();
+
+    // A GM that left while recording has stopped recording
+    if (game.user.isGM
+      && game.settings.get(MODULE_NAME, "recording").users.includes(game.user.id)) {
+      this._simplePeerClient.sendRecordingState();
+    }
+
+    // Send audio and video to the users in our voice room
+    Hooks.on(`${MODULE_NAME}VoiceRoomsChanged`, this._simplePeerClient.onVoiceRoomsChanged.bind(this._simplePeerClient));
+
+    // Stop sharing our screen if the permission is revoked
+    Hooks.on(`${MODULE_NAME}ScreenShareUsersChanged`, this._simplePeerClient.onScreenShareUsersChanged.bind(this._simplePeerClient));
+
     // Break down peers when the window is closed
     window.addEventListener("beforeunload", this._simplePeerClient.closeAllPeers.bind(this._simplePeerClient));
 
-    // Disable voice activation mode
-    if (this.settings.get("client", "voice.mode") === "activity") {
-      log.warn("Disabling voice activation mode as it is not supported");
-      this.settings.set("client", "voice.mode", "always");
-    }
+    // Start voice activity detection if it is enabled
+    this._simplePeerClient.initVoiceActivityDetection();
 
     this._simplePeerClient.initialized = true;
     return true;
@@ -64,9 +156,7 @@ export default class SimplePeerAVClient extends AVClient {
    * @return {Promise<boolean>}   Was the connection attempt successful?
    */
   async connect() {
-    for (const user of game.users.filter((u) => u.active && !u.isSelf)) {
-      this._simplePeerClient.initPeer(user.id);
-    }
+    await this._simplePeerClient.syncPeers();
     return true;
   }
 
@@ -157,6 +247,16 @@ export default class SimplePeerAVClient extends AVClient {
     // Get remote connected users
     const connectedUsers = Array.from(this._simplePeerClient.peers.keys());
 
+    // Keep users that are reconnecting so their camera view shows the reconnecting state
+    for (const userId of this._simplePeerClient.reconnecting.keys()) {
+      if (!connectedUsers.includes(userId)) connectedUsers.push(userId);
+    }
+
+    // Add users whose media is forwarded to us by the relay
+    for (const userId of this._simplePeerClient.relayedUsers.keys()) {
+      if (!connectedUsers.includes(userId)) connectedUsers.push(userId);
+    }
+
     // Add local user if our stream is live
     if (this._simplePeerClient.localStream) connectedUsers.push(game.user.id);
 
@@ -216,8 +316,10 @@ export default class SimplePeerAVClient extends AVClient {
 
     if (!this._simplePeerClient.localAudioBroadcastEnabled && this.settings.get("client", "voice.mode") === "ptt") return;
     this._simplePeerClient.localAudioEnabled = enable;
+    // A GM may have muted us, or asked everyone to mute
+    const forceMuted = moderation.isMuted(game.user.id) || this._simplePeerClient.muteRequested;
     for (const track of this._simplePeerClient.localStream.getAudioTracks()) {
-      track.enabled = enable;
+      track.enabled = enable && !forceMuted;
     }
   }
 
@@ -237,9 +339,18 @@ export default class SimplePeerAVClient extends AVClient {
       return;
     }
 
-    this._simplePeerClient.localAudioBroadcastEnabled = broadcast;
+    // Keep broadcasting while whispering, remembering what to go back to once it ends
+    let enabled = broadcast;
+    if (this._simplePeerClient.whispers.has(game.user.id)) {
+      this._simplePeerClient.broadcastAfterWhisper = broadcast;
+      enabled = true;
+    }
+
+    this._simplePeerClient.localAudioBroadcastEnabled = enabled;
+    // A GM may have muted us, or asked everyone to mute
+    const forceMuted = moderation.isMuted(game.user.id) || this._simplePeerClient.muteRequested;
     for (const track of this._simplePeerClient.localStream.getAudioTracks()) {
-      track.enabled = broadcast;
+      track.enabled = enabled && !forceMuted;
     }
   }
 
@@ -260,8 +371,10 @@ export default class SimplePeerAVClient extends AVClient {
       return;
     }
 
+    // A GM may have hidden us
+    const forceHidden = moderation.isHidden(game.user.id);
     for (const track of this._simplePeerClient.localStream.getVideoTracks()) {
-      track.enabled = enable;
+      track.enabled = enable && !forceHidden;
     }
   }
 
@@ -282,16 +395,8 @@ export default class SimplePeerAVClient extends AVClient {
       videoElement.src = window.URL.createObjectURL(stream); // for older browsers
     }
 
-    // Set the audio output device
-    if (typeof videoElement.sinkId !== "undefined") {
-      try {
-        videoElement.setSinkId(this.settings.get("client", "audioSink"));
-      } catch (err) {
-        log.error("Error setting audio output device:", err);
-      }
-    } else {
-      log.debug("Browser does not support output device selection");
-    }
+    // Remote audio is played by the element unless it goes through the audio mixer
+    this._simplePeerClient.setVideoElementAudio(userId, videoElement);
   }
 
   /* -------------------------------------------- */
@@ -307,28 +412,49 @@ export default class SimplePeerAVClient extends AVClient {
     const keys = Object.keys(flattenObject(changed));
 
     // Change audio or video sources
-    if (keys.some((k) => ["client.videoSrc", "client.audioSrc"].includes(k))
-      || hasProperty(changed, `users.${game.user.id}.canBroadcastVideo`)
+    const changedKinds = [];
+    if (keys.includes("client.audioSrc")
       || hasProperty(changed, `users.${game.user.id}.canBroadcastAudio`)) {
-      this._simplePeerClient.changeLocalStream();
+      changedKinds.push("audio");
+    }
+    if (keys.includes("client.videoSrc")
+      || hasProperty(changed, `users.${game.user.id}.canBroadcastVideo`)) {
+      changedKinds.push("video");
+    }
+    if (changedKinds.length > 0) {
+      this._simplePeerClient.changeLocalStream(changedKinds);
+    }
+
+    // Using our own microphone control takes over from a GM's request to mute
+    if (hasProperty(changed, `users.${game.user.id}.muted`)
+      && this._simplePeerClient.muteRequested) {
+      this._simplePeerClient.cancelMuteRequest();
+    }
+
+    // Connect to or disconnect from users whose permissions changed
+    if (keys.some((k) => /^users\.[^.]+\.canBroadcast(Audio|Video)$/.test(k))) {
+      this._simplePeerClient.syncPeers();
     }
 
     // Change voice broadcasting mode
     if (keys.some((k) => ["client.voice.mode"].includes(k))) {
-      const voiceModeAlways = this.settings.get("client", "voice.mode") === "always";
+      const voiceMode = this.settings.get("client", "voice.mode");
       this.toggleAudio(
-        voiceModeAlways && this.master.canUserShareAudio(game.user.id),
+        voiceMode !== "ptt" && this.master.canUserShareAudio(game.user.id),
       );
-      this.master.broadcast(voiceModeAlways);
+      this.master.broadcast(voiceMode === "always");
+      this._simplePeerClient.initVoiceActivityDetection();
     }
 
     // Change audio sink device
     if (keys.some((k) => ["client.audioSink"].includes(k))) {
+      this._simplePeerClient.setAudioSinkId(this.settings.get("client", "audioSink"));
       this._simplePeerClient.render();
     }
 
     // Change muteAll
     if (keys.some((k) => ["client.muteAll"].includes(k))) {
+      this._simplePeerClient.audioMixer.setMuted(this.settings.get("client", "muteAll"));
       this._simplePeerClient.render();
     }
   }
@@ -1,20 +1,121 @@
-import { MODULE_NAME } from "./utils/constants.js";
+import { LANG_NAME, MODULE_NAME, TURN_CREDENTIAL_TTL_RANGE } from "./utils/constants.js";
+import * as helpers from "./utils/helpers.js";
+import * as identity from "./utils/identity.js";
 import * as log from "./utils/logging.js";
+import * as moderation from "./utils/moderation.js";
+import { summarizeStats } from "./utils/peerStats.js";
+import * as sdpUtils from "./utils/sdp.js";
+import * as spatialAudio from "./utils/spatialAudio.js";
+import * as validation from "./utils/validation.js";
+import * as voiceRooms from "./utils/voiceRooms.js";
+
+import ConnectionStatsViewer from "./ConnectionStatsViewer.js";
+import DataChannelMessenger from "./DataChannelMessenger.js";
+import DeviceMonitor from "./DeviceMonitor.js";
+import FileTransferManager from "./FileTransferManager.js";
+import ModerationControls from "./ModerationControls.js";
+import RecordingControls from "./RecordingControls.js";
+import RemoteAudioMixer from "./RemoteAudioMixer.js";
+import ScreenShareControls from "./ScreenShareControls.js";
+import ScreenSharePopout from "./ScreenSharePopout.js";
+import SelfTestViewer from "./SelfTestViewer.js";
+import SessionRecorder from "./SessionRecorder.js";
+import TalkTimeViewer from "./TalkTimeViewer.js";
+import UserAudioControls from "./UserAudioControls.js";
+import VoiceActivityDetector from "./VoiceActivityDetector.js";
+import VoiceRoomControls from "./VoiceRoomControls.js";
 
 import "./libs/simplepeer.min.js";
 
+// How long to wait for a disconnected ICE connection to recover before restarting ICE
+const ICE_RESTART_DELAY = 2000;
+// How long to wait for an ICE restart to recover the connection before reconnecting from
+// scratch. The other side waits twice as long, so normally only the initiator reconnects.
+const ICE_RESTART_TIMEOUT = 10000;
+// Delay before the first reconnection attempt, doubled on each subsequent attempt
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+// How long (ms) to wait for a GM to send TURN credentials
+const TURN_CREDENTIALS_TIMEOUT = 5000;
+
+// How often outgoing video encodings are adjusted to the connection quality
+const VIDEO_ENCODING_INTERVAL = 5000;
+// Bitrate (kbps) used as the starting point for degraded video when no maximum is configured
+const DEFAULT_VIDEO_BITRATE = 1000;
+// Degrade outgoing video to a peer when it reports more packet loss (%) than this
+const VIDEO_DEGRADE_PACKET_LOSS = 10;
+// Restore outgoing video quality to a peer when it reports less packet loss (%) than this
+const VIDEO_RESTORE_PACKET_LOSS = 2;
+const MAX_VIDEO_QUALITY_LEVEL = 3;
+// Audio level (dB) above which remote users are shown as speaking
+const SPEAKING_THRESHOLD = -50;
+// How long (ms) users are still shown as speaking after their audio level drops
+const SPEAKING_HANG_TIME = 300;
+// How often (ms) the audio levels used for speaking indicators are sampled
+const SPEAKING_INTERVAL = 100;
+// Longest a whisper lasts (ms) if the whisper control isn't released
+const MAX_WHISPER_DURATION = 30000;
+// Opus bitrate (kbps) used to send high fidelity audio
+const HIGH_FIDELITY_OPUS_BITRATE = 510;
+// Video codecs that can be preferred, as named in session descriptions
+const VIDEO_CODECS = ["VP8", "VP9", "H264", "AV1"];
+// Outgoing video resolution is scaled down as more peers need a copy of it
+const VIDEO_PEER_SCALING = [
+  { maxPeers: 2, scaleResolutionDownBy: 1 },
+  { maxPeers: 4, scaleResolutionDownBy: 1.5 },
+  { maxPeers: Infinity, scaleResolutionDownBy: 2 },
+];
+
 export default class SimplePeerClient {
   constructor(simplePeerAvClient) {
     this.simplePeerAvClient = simplePeerAvClient;
     this.avMaster = simplePeerAvClient.master;
     this.settings = simplePeerAvClient.settings;
+    this.audioMixer = new RemoteAudioMixer();
+    this.audioSinkId = "";
+    this.codecReports = new Map();
+    this.connectionStatsViewer = null;
+    this.deviceMonitor = new DeviceMonitor(this);
 
     this.initialized = false;
+    this._incomingRequests = new Map();
+    this._outgoingSignals = new Map();
+    this._senderEncodings = new WeakMap();
+    this._turnCredentialsRequest = null;
+    this.forwardedStreams = new Map();
     this.localAudioBroadcastEnabled = false;
+    this.broadcastAfterWhisper = false;
     this.localAudioEnabled = false;
     this.localStream = null;
+    this.messenger = new DataChannelMessenger(this);
+    this.moderatedSelf = { muted: false, hidden: false };
+    this.moderationControls = new ModerationControls(this);
+    this.muteRequested = false;
+    this.fileTransfers = new FileTransferManager(this);
+    this.peerConfig = {};
     this.peers = new Map();
+    this.reconnecting = new Map();
+    this.recordingControls = new RecordingControls(this);
+    this.recordingUsers = new Set();
+    this.relayedStreams = new Map();
+    this.relayedUsers = new Map();
+    this.remoteScreenShares = new Map();
     this.remoteStreams = new Map();
+    this.screenShareControls = new ScreenShareControls(this);
+    this.screenStream = null;
+    this.selfTestViewer = null;
+    this.sessionRecorder = null;
+    this.speakingDetectors = new Map();
+    this.talkTime = new Map();
+    this.talkTimeViewer = null;
+    this.userAudioControls = new UserAudioControls(this);
+    this.videoQualityLevels = new Map();
+    this._adjustingVideoQuality = false;
+    this._videoEncodingUpdate = Promise.resolve();
+    this.voiceActivityDetector = null;
+    this.voiceRoomControls = new VoiceRoomControls(this);
+    this.whispers = new Map();
+    this._whisperTimeout = null;
 
     this.render = debounce(this.avMaster.render.bind(this.simplePeerAvClient), 2000);
   }
@@ -23,37 +124,213 @@ export default class SimplePeerClient {
   /*  simple-peer Internal methods                */
   /* -------------------------------------------- */
 
-  async changeLocalStream() {
-    for (const peer of this.peers.values()) {
-      await peer.removeStream(this.localStream);
+  /**
+   * Add a chapter marker to the recording in progress
+   * @param {string} label        The marker label
+   */
+  addRecordingMarker(label) {
+    if (!this.sessionRecorder) return;
+    this.sessionRecorder.addMarker(label);
+  }
+
+  /**
+   * Apply the volume, local mute, voice rooms, moderated volume and spatial position of a remote
+   * user. Their audio only goes through the audio mixer while spatial audio or a volume other
+   * than 100% needs it; otherwise their camera view plays it as usual.
+   * @param {string} userId       The User ID
+   * @param {object} [changes]    Audio settings to use instead of the saved ones, e.g. while the
+   *   volume slider is dragged
+   */
+  applyUserAudioSettings(userId, changes = {}) {
+    const { volume, muted } = { ...this.getUserAudioSettings(userId), ...changes };
+    const audible = !muted && this.canHearUser(userId, game.user.id);
+    const gain = audible ? volume * this.getModeratedVolume(userId) : 0;
+    const spatial = spatialAudio.isSpatialAudioEnabled();
+
+    const mixed = spatial || gain !== 1;
+    const stream = this.remoteStreams.get(userId);
+    if (mixed !== this.audioMixer.nodes.has(userId)) {
+      if (mixed && stream) {
+        this.audioMixer.setStream(userId, stream);
+      } else {
+        this.audioMixer.removeStream(userId);
+      }
+
+      const videoElement = ui.webrtc ? ui.webrtc.getUserVideoElement(userId) : null;
+      if (videoElement) this.setVideoElementAudio(userId, videoElement);
     }
 
-    const localInit = await this.initLocalStream();
-    if (!localInit) return;
+    this.audioMixer.setVolume(userId, gain);
+    this.audioMixer.setSpatial(userId, spatial
+      ? spatialAudio.getSpatialParameters(game.user, game.users.get(userId))
+      : spatialAudio.NEUTRAL_SPATIAL);
+  }
 
-    for (const peer of this.peers.values()) {
-      await peer.addStream(this.localStream);
+  /**
+   * Unmute the microphone after a GM asked everyone to mute
+   */
+  cancelMuteRequest() {
+    this.muteRequested = false;
+    this.updateLocalTracks();
+    ui.webrtc.render();
+  }
+
+  cancelReconnect(userId) {
+    if (this.reconnecting.has(userId)) {
+      clearTimeout(this.reconnecting.get(userId).timeout);
+    }
+    this.reconnecting.delete(userId);
+  }
+
+  /**
+   * Can a user hear another user? Users whispering are only heard by the user they whisper to,
+   * otherwise users hear the users in their voice room.
+   * @param {string} speakerId    The User ID of the speaking user
+   * @param {string} listenerId   The User ID of the listening user
+   * @return {boolean}
+   */
+  canHearUser(speakerId, listenerId) {
+    if (this.whispers.has(speakerId)) return this.whispers.get(speakerId) === listenerId;
+    return voiceRooms.canHear(speakerId, listenerId);
+  }
+
+  /**
+   * Is a user allowed to send a kind of media? Screen shares are sent as video.
+   * @param {string} userId       The User ID
+   * @param {string} kind         The media kind ("audio", "video")
+   * @return {boolean}
+   */
+  canUserSend(userId, kind) {
+    if (kind === "audio") return this.avMaster.canUserBroadcastAudio(userId);
+    return this.avMaster.canUserBroadcastVideo(userId) || this.canUserShareScreen(userId);
+  }
+
+  canUserShareScreen(userId) {
+    const user = game.users.get(userId);
+    if (!user) return false;
+
+    return user.isGM || !!game.settings.get(MODULE_NAME, "screenShareUsers")[userId];
+  }
+
+  /**
+   * Update the local stream after device or permission changes.
+   * Tracks are replaced on the existing senders so peers don't need to renegotiate; only adding
+   * or removing a kind of track triggers a renegotiation. The old tracks are only stopped once
+   * their replacements are open, so a device that fails to open leaves the old one in use.
+   * @param {string[]} kinds      The kinds of tracks ("audio", "video") to refresh
+   */
+  async changeLocalStream(kinds = ["audio", "video"]) {
+    if (!this.localStream) {
+      const localInit = await this.initLocalStream();
+      if (!localInit) return;
+
+      for (const peer of this.peers.values()) {
+        peer.addStream(this.localStream);
+      }
+    } else {
+      const oldTracks = this.localStream.getTracks().filter((t) => kinds.includes(t.kind));
+      const requested = this.getMediaConstraints(kinds);
+
+      // Open the new devices while the old ones are still live, so they are kept if that fails
+      const errors = new Map();
+      const newStream = await this.getLocalMedia(kinds, (kind, err) => errors.set(kind, err));
+
+      // Some devices can't be opened twice, so release those and try again
+      const busyTracks = oldTracks.filter((t) => errors.has(t.kind)
+        && errors.get(t.kind).name === "NotReadableError");
+      if (busyTracks.length > 0) {
+        for (const track of busyTracks) {
+          track.stop();
+        }
+
+        const busyKinds = busyTracks.map((t) => t.kind);
+        for (const kind of busyKinds) {
+          errors.delete(kind);
+        }
+        const retryStream = await this.getLocalMedia(
+          busyKinds,
+          (kind, err) => errors.set(kind, err),
+        );
+        for (const track of retryStream.getTracks()) {
+          newStream.addTrack(track);
+        }
+
+        // Go back to the devices used before if the new ones still can't be opened
+        for (const oldTrack of busyTracks.filter((t) => errors.has(t.kind))) {
+          try {
+            const restored = await navigator.mediaDevices.getUserMedia({
+              [oldTrack.kind]: oldTrack.getConstraints(),
+            });
+            log.debug("Restored previous", oldTrack.kind, "device");
+            for (const track of restored.getTracks()) {
+              newStream.addTrack(track);
+            }
+          } catch (err) {
+            log.error("Error restoring previous", oldTrack.kind, "device:", err);
+          }
+        }
+      }
+      for (const [kind, err] of errors) {
+        this.notifyMediaError(kind, err);
+      }
+
+      for (const kind of kinds) {
+        const oldTrack = oldTracks.find((t) => t.kind === kind);
+        const newTrack = newStream.getTracks().find((t) => t.kind === kind);
+
+        // Keep sending from the old device if the new one couldn't be opened
+        if (!newTrack && requested[kind] && oldTrack && oldTrack.readyState === "live") {
+          log.debug("Keeping the current", kind, "track");
+          continue;
+        }
+
+        for (const peer of this.peers.values()) {
+          try {
+            if (oldTrack && newTrack) {
+              peer.replaceTrack(oldTrack, newTrack, this.localStream);
+            } else if (oldTrack) {
+              peer.removeTrack(oldTrack, this.localStream);
+            } else if (newTrack) {
+              peer.addTrack(newTrack, this.localStream);
+            }
+          } catch (err) {
+            log.error("Error changing", kind, "track for peer:", err);
+          }
+        }
+
+        // Keep the same stream object, as simple-peer tracks senders by stream
+        if (oldTrack) {
+          oldTrack.stop();
+          this.localStream.removeTrack(oldTrack);
+        }
+        if (newTrack) this.localStream.addTrack(newTrack);
+      }
+      this.notifyReceiveOnly();
     }
 
     // Make sure broadcasting is set properly
-    const voiceModeAlways = this.settings.get("client", "voice.mode") === "always";
-    this.simplePeerAvClient.toggleAudio(
-      voiceModeAlways && this.avMaster.canUserShareAudio(game.user.id),
-    );
-    this.avMaster.broadcast(voiceModeAlways);
+    this.updateLocalTracks();
+    this.initVoiceActivityDetection();
+    this.initSpeakingDetection(game.user.id, this.localStream);
+
+    // Recording sources are bound to tracks, so record the new tracks
+    if (this.sessionRecorder) {
+      this.sessionRecorder.addStream(game.user.id, this.localStream);
+    }
 
     this.render();
   }
 
   async closeAllPeers() {
+    for (const userId of this.reconnecting.keys()) {
+      this.cancelReconnect(userId);
+    }
+
     if (this.peers) {
       for (const userId of this.peers.keys()) {
         log.debug("Closing peer (", userId, ")");
-        // // Send signal to remotes
-        // await game.socket.emit(`module.${MODULE_NAME}`, {
-        //   action: "peer-close",
-        //   userId,
-        // });
+        // Send signal to remotes
+        this.sendPeerClose(userId);
         // Close our local peer
         await this.closePeer(userId);
       }
@@ -61,66 +338,482 @@ export default class SimplePeerClient {
   }
 
   async closePeer(userId) {
-    if (this.remoteStreams.has(userId)) {
-      for (const remoteTrack of this.remoteStreams.get(userId).getTracks()) {
+    // Remove the peer and stream before tearing them down so a replacement peer can be set up
+    // right away and the old peer's close event isn't treated as a dropped connection
+    const peer = this.peers.get(userId);
+    const remoteStream = this.relayedUsers.has(userId) ? null : this.remoteStreams.get(userId);
+    this.peers.delete(userId);
+    this.forwardedStreams.delete(userId);
+    this.videoQualityLevels.delete(userId);
+    this.messenger.clearUser(userId);
+    this.fileTransfers.onPeerClosed(userId);
+    if (peer) this.reportCodecs(userId);
+    if (!this.relayedUsers.has(userId)) this.removeRemoteStream(userId);
+
+    // The media this user forwarded as the relay is gone with the peer
+    for (const [sourceUserId, relayId] of this.relayedUsers) {
+      if (relayId === userId) this.removeRemoteStream(sourceUserId);
+    }
+    for (const [streamId, relayed] of this.relayedStreams) {
+      if (relayed.relayId === userId) this.relayedStreams.delete(streamId);
+    }
+
+    if (remoteStream) {
+      for (const remoteTrack of remoteStream.getTracks()) {
         await remoteTrack.stop();
       }
     }
-    this.remoteStreams.delete(userId);
 
-    if (this.peers.has(userId)) {
-      await this.peers.get(userId).destroy();
+    // Keep the announced screen share; a rebuilt peer will receive the stream again
+    const screenShare = this.remoteScreenShares.get(userId);
+    if (screenShare && screenShare.popout) {
+      screenShare.popout.close();
+      screenShare.popout = null;
     }
-    this.peers.delete(userId);
+
+    if (peer) {
+      await peer.destroy();
+    }
+
+    // Stop forwarding this user's media to the others
+    this.updateForwarding();
 
     // this.render();
   }
 
-  async initLocalStream() {
-    log.debug("Initializing local stream");
+  emitSignal(userId, sessionId, data) {
+    // Signing is asynchronous, so queue signals to send them in order
+    const previous = this._outgoingSignals.get(userId) || Promise.resolve();
+    this._outgoingSignals.set(userId, previous.then(async () => {
+      const request = {
+        action: "peer-signal",
+        userId,
+        sessionId,
+        data,
+      };
+      if (data.sdp && game.settings.get(MODULE_NAME, "verifyFingerprints")) {
+        request.identity = await identity.signDescription(data.sdp, sessionId);
+      }
+      game.socket.emit(`module.${MODULE_NAME}`, request);
+    }).catch((err) => log.error("Error sending signal:", err)));
+  }
 
-    // Stop any existing media stream
-    if (this.localStream) {
-      for (const track of this.localStream.getTracks()) {
-        track.stop();
+  /**
+   * As the relay, forward a track that was added to a user's stream after it was forwarded
+   * @param {string} sourceUserId   The User ID the track is from
+   * @param {MediaStreamTrack} track
+   * @param {MediaStream} stream    The stream the track was added to
+   */
+  forwardTrack(sourceUserId, track, stream) {
+    for (const [userId, forwarded] of this.forwardedStreams) {
+      const peer = this.peers.get(userId);
+      if (forwarded.get(sourceUserId) !== stream || !peer || peer.destroyed) continue;
+
+      try {
+        peer.addTrack(track, stream);
+      } catch (err) {
+        // The track was already sent along with the stream
+        log.debug("Not forwarding track to", userId, ":", err);
       }
     }
+  }
 
-    // Determine if the user can send audio & video
-    const audioRequested = this.settings.get("client", "audioSrc")
-      && this.avMaster.canUserBroadcastAudio(game.user.id);
-    const videoRequested = this.settings.get("client", "videoSrc")
-      && this.avMaster.canUserBroadcastVideo(game.user.id);
+  /**
+   * Generate time-limited TURN credentials for a user from the shared secret
+   * @param {string} userId       The User ID the credentials are for
+   * @return {Promise<{username: string, credential: string, ttl: number}|null>}  The
+   *   credentials and their lifetime (s), or null if this client has no shared secret
+   */
+  async generateTurnCredentials(userId) {
+    const secret = game.settings.get(MODULE_NAME, "turnSecret");
+    if (!game.user.isGM || !secret) return null;
+
+    const ttl = this.getTurnCredentialTtl(game.settings.get(MODULE_NAME, "turnCredentialTtl"));
+    try {
+      const { username, credential } = await helpers.getTurnRestCredentials(secret, ttl, userId);
+      return { username, credential, ttl };
+    } catch (err) {
+      log.error("Error generating TURN credentials:", err);
+      return null;
+    }
+  }
 
-    // Set audio/video constraints
-    const audioConstraints = (audioRequested)
-      ? {
-        deviceId: { ideal: this.settings.get("client", "audioSrc") },
-      } : false;
-    const videoConstraints = (videoRequested)
-      ? {
-        deviceId: { ideal: this.settings.get("client", "videoSrc") },
-        width: { ideal: 320 },
-        height: { ideal: 240 },
-      } : false;
+  /**
+   * Get the audio processing constraints for the selected options.
+   * High fidelity audio turns off all processing so music isn't filtered out.
+   * @return {MediaTrackConstraints}
+   */
+  getAudioProcessingConstraints() {
+    const highFidelity = game.settings.get(MODULE_NAME, "highFidelityAudio");
+
+    return {
+      echoCancellation: !highFidelity && game.settings.get(MODULE_NAME, "echoCancellation"),
+      noiseSuppression: !highFidelity && game.settings.get(MODULE_NAME, "noiseSuppression"),
+      autoGainControl: !highFidelity && game.settings.get(MODULE_NAME, "autoGainControl"),
+      channelCount: {
+        ideal: highFidelity ? 2 : Number(game.settings.get(MODULE_NAME, "audioChannels")),
+      },
+    };
+  }
+
+  /**
+   * Get the codecs each connection sends with. GMs get the reports of every user's connections,
+   * other users only their own.
+   * @return {{userId: string, peerUserId: string, codecs: object[]}[]}
+   */
+  getCodecReports() {
+    return Array.from(this.codecReports.values());
+  }
+
+  async getConnectionStats() {
+    const connectionStats = [];
+    for (const [userId, peer] of this.peers) {
+      if (!peer._pc || peer.destroyed) continue;
+
+      const user = game.users.get(userId);
+      connectionStats.push({
+        userId,
+        userName: user ? user.name : userId,
+        connectionState: peer._pc.connectionState,
+        iceConnectionState: peer._pc.iceConnectionState,
+        report: await peer._pc.getStats(),
+      });
+    }
+
+    return connectionStats;
+  }
+
+  /**
+   * Request a new stream from the local devices.
+   * If a device can't be used, the stream is created without it and the user is told why. When
+   * no device can be used the stream is empty, so the user can still receive audio and video.
+   * @param {string[]} kinds      The kinds of tracks ("audio", "video") to request
+   * @param {Function} [onError]  Called with the kind and error of each device that can't be
+   *   used, instead of telling the user
+   * @return {Promise<MediaStream>}  The new stream
+   */
+  async getLocalMedia(kinds = ["audio", "video"], onError = this.notifyMediaError.bind(this)) {
+    const { audio: audioConstraints, video: videoConstraints } = this.getMediaConstraints(kinds);
+    const audioRequested = !!audioConstraints;
+    const videoRequested = !!videoConstraints;
+
+    // getUserMedia requires at least one kind of track
+    if (!audioRequested && !videoRequested) {
+      log.debug("No audio or video requested");
+      return new MediaStream();
+    }
 
-    // Set up the local stream
     try {
-      this.localStream = await navigator.mediaDevices.getUserMedia({
+      const stream = await navigator.mediaDevices.getUserMedia({
         audio: audioConstraints,
         video: videoConstraints,
       });
       log.debug("Audio stream request succeeded");
+      return stream;
     } catch (err) {
-      log.error("Error getting audio device:", err);
-      return false;
+      log.error("Error getting audio/video devices:", err);
+      if (!audioRequested || !videoRequested) {
+        onError(audioRequested ? "audio" : "video", err);
+        return new MediaStream();
+      }
+    }
+
+    // Request each kind on its own, so one broken device doesn't stop the other from being used
+    const stream = new MediaStream();
+    for (const [kind, constraints] of [["audio", audioConstraints], ["video", videoConstraints]]) {
+      try {
+        const kindStream = await navigator.mediaDevices.getUserMedia({ [kind]: constraints });
+        log.debug("Fallback", kind, "stream request succeeded");
+        for (const track of kindStream.getTracks()) {
+          stream.addTrack(track);
+        }
+      } catch (err) {
+        log.error("Error getting", kind, "device:", err);
+        onError(kind, err);
+      }
+    }
+    return stream;
+  }
+
+  /**
+   * Get the getUserMedia constraints for the selected devices and options
+   * @param {string[]} kinds      The kinds of tracks ("audio", "video") to request
+   * @return {{audio: MediaTrackConstraints|boolean, video: MediaTrackConstraints|boolean}}
+   *   The constraints of each kind, false if the user has no device selected or can't send it
+   */
+  getMediaConstraints(kinds = ["audio", "video"]) {
+    // Determine if the user can send audio & video
+    const audioRequested = kinds.includes("audio")
+      && this.settings.get("client", "audioSrc")
+      && this.avMaster.canUserBroadcastAudio(game.user.id);
+    const videoRequested = kinds.includes("video")
+      && this.settings.get("client", "videoSrc")
+      && this.avMaster.canUserBroadcastVideo(game.user.id);
+
+    return {
+      audio: (audioRequested)
+        ? {
+          deviceId: { ideal: this.settings.get("client", "audioSrc") },
+          ...this.getAudioProcessingConstraints(),
+        } : false,
+      video: (videoRequested)
+        ? {
+          deviceId: { ideal: this.settings.get("client", "videoSrc") },
+          ...this.getVideoQualityConstraints(),
+        } : false,
+    };
+  }
+
+  /**
+   * Get the message explaining why a device couldn't be used
+   * @param {string} kind         The kind of device ("audio", "video")
+   * @param {Error} err           The getUserMedia error
+   * @return {string}
+   */
+  getMediaErrorMessage(kind, err) {
+    const device = game.i18n.localize(`${LANG_NAME}.${kind === "audio" ? "microphone" : "camera"}`);
+    let reason;
+    switch (err.name) {
+      case "NotAllowedError":
+      case "SecurityError":
+        reason = "mediaErrorPermission";
+        break;
+      case "NotReadableError":
+      case "TrackStartError":
+      case "AbortError":
+        reason = "mediaErrorInUse";
+        break;
+      case "NotFoundError":
+      case "DevicesNotFoundError":
+      case "OverconstrainedError":
+        reason = "mediaErrorNotFound";
+        break;
+      default:
+        reason = "mediaErrorUnknown";
+    }
+
+    return game.i18n.format(`${LANG_NAME}.${reason}`, {
+      device,
+      error: err.message || err.name,
+    });
+  }
+
+  /**
+   * Get the volume a GM set for everyone hearing a user
+   * @param {string} userId       The User ID
+   * @return {number}             The volume, from 0 to 1
+   */
+  getModeratedVolume(userId) {
+    return moderation.getVolume(userId);
+  }
+
+  /**
+   * Get the Opus format parameters for the selected audio options
+   * @return {object}         The parameters; null values are left to the browser
+   */
+  getOpusParameters() {
+    const highFidelity = game.settings.get(MODULE_NAME, "highFidelityAudio");
+    const stereo = highFidelity || game.settings.get(MODULE_NAME, "opusStereo");
+    const maxBitrate = highFidelity
+      ? HIGH_FIDELITY_OPUS_BITRATE
+      : game.settings.get(MODULE_NAME, "opusMaxBitrate");
+
+    return {
+      usedtx: game.settings.get(MODULE_NAME, "opusDtx") ? 1 : 0,
+      useinbandfec: game.settings.get(MODULE_NAME, "opusFec") ? 1 : 0,
+      stereo: stereo ? 1 : 0,
+      "sprop-stereo": stereo ? 1 : 0,
+      maxaveragebitrate: maxBitrate > 0 ? maxBitrate * 1000 : null,
+    };
+  }
+
+  /**
+   * Get the user that forwards everyone's media when the relay topology is in use.
+   * Every client elects the same relay from the users that are logged in, so a new relay is
+   * elected as soon as the relay leaves.
+   * @return {string|null}      The relay User ID, or null when users connect to each other directly
+   */
+  getRelayUserId() {
+    const activeUsers = game.users.filter((u) => u.active);
+    if (game.settings.get(MODULE_NAME, "topology") !== "relay"
+      || activeUsers.length < game.settings.get(MODULE_NAME, "relayMinUsers")) {
+      return null;
+    }
+
+    const relayUserId = game.settings.get(MODULE_NAME, "relayUser");
+    const designated = relayUserId && activeUsers.find((u) => u.id === relayUserId);
+    if (designated) return designated.id;
+
+    // Otherwise prefer a GM, then the lowest ID so every client picks the same user
+    activeUsers.sort((a, b) => (b.isGM - a.isGM) || (a.id < b.id ? -1 : 1));
+    return activeUsers[0].id;
+  }
+
+  /**
+   * Get how long each user has spoken for since the talk time was last reset
+   * @return {Map<string,number>}   The talk time in milliseconds, by User ID
+   */
+  getTalkTimes() {
+    const now = Date.now();
+    return new Map(Array.from(this.talkTime, ([userId, { total, since }]) => [
+      userId,
+      total + (since ? now - since : 0),
+    ]));
+  }
+
+  /**
+   * Get the TURN credentials to use when a shared secret is configured. Only GMs know the
+   * secret, so players ask a GM for theirs.
+   * @return {Promise<{username: string, credential: string, ttl: number}|null>}  The
+   *   credentials and their lifetime (s), or null to use the configured username and password
+   */
+  getTurnCredentials() {
+    if (game.user.isGM) return this.generateTurnCredentials(game.user.id);
+    return this.requestTurnCredentials();
+  }
+
+  /**
+   * Keep the lifetime of TURN credentials within the supported range
+   * @param {number} ttl          The requested lifetime (s)
+   * @return {number}             The lifetime to use (s)
+   */
+  getTurnCredentialTtl(ttl) {
+    const { min, max } = TURN_CREDENTIAL_TTL_RANGE;
+    return Math.clamped(Number(ttl) || 0, min, max);
+  }
+
+  /**
+   * Get the volume and local mute chosen for a remote user
+   * @param {string} userId       The User ID
+   * @return {{volume: number, muted: boolean}}
+   */
+  getUserAudioSettings(userId) {
+    return {
+      volume: 1,
+      muted: false,
+      ...game.settings.get(MODULE_NAME, "userAudio")[userId],
+    };
+  }
+
+  /**
+   * Get the preferred video codecs, from the setting of this computer or otherwise the world
+   * @return {string[]}       The codec names, most preferred first
+   */
+  getVideoCodecOrder() {
+    const order = game.settings.get(MODULE_NAME, "clientVideoCodecOrder").trim()
+      || game.settings.get(MODULE_NAME, "videoCodecOrder");
+
+    return order.split(",")
+      .map((name) => name.trim().toUpperCase())
+      .filter((name) => VIDEO_CODECS.includes(name));
+  }
+
+  /**
+   * Get the video size and frame rate constraints for the selected quality
+   * @return {MediaTrackConstraints}
+   */
+  getVideoQualityConstraints() {
+    const [width, height] = game.settings.get(MODULE_NAME, "videoResolution").split("x").map(Number);
+
+    return {
+      width: { ideal: width },
+      height: { ideal: height },
+      frameRate: { ideal: Number(game.settings.get(MODULE_NAME, "videoFrameRate")) },
+    };
+  }
+
+  async handleSocketRequest(userId, request) {
+    switch (request.action) {
+      case "peer-signal": {
+        const data = validation.sanitizeSignal(request.data);
+        if (await this.isSignalAllowed(userId, request.sessionId, data, request.identity)) {
+          this.signal(userId, data, request.sessionId);
+        }
+        break;
+      }
+      case "peer-request":
+        // The remote user needs a new connection, so replace any peer we have with a new session
+        if (!this.shouldConnect(userId)) {
+          log.warn("Ignoring connection request from user that can't connect", userId);
+        } else if (this.isInitiator(userId)) {
+          this.cancelReconnect(userId);
+          this.closePeer(userId);
+          this.setupPeer(userId, true);
+        } else {
+          log.warn("Ignoring connection request from initiator", userId);
+        }
+        break;
+      case "screen-share":
+        this.onRemoteScreenShare(userId, request.streamId);
+        break;
+      case "moderation":
+        this.onRemoteModeration(userId, request);
+        break;
+      case "codecs":
+        this.onRemoteCodecs(userId, request.peerUserId, request.codecs);
+        break;
+      case "whisper":
+        this.onRemoteWhisper(userId, request.targetUserId);
+        break;
+      case "relay-stream":
+        this.onRelayStream(userId, request.sourceUserId, request.streamId);
+        break;
+      case "turn-credentials-request":
+        this.onTurnCredentialsRequest(userId);
+        break;
+      case "turn-credentials":
+        this.onTurnCredentials(userId, request);
+        break;
+      case "peer-close":
+        // Ignore close requests for a session that has already been replaced
+        if (request.sessionId && this.peers.has(userId)
+          && this.peers.get(userId).sessionId !== request.sessionId) {
+          log.debug("Ignoring stale peer-close from", userId);
+          break;
+        }
+
+        // The remote user will start a new connection if they want one
+        this.cancelReconnect(userId);
+        this.closePeer(userId);
+        break;
+      default:
+        log.warn("Unknown socket event:", request);
+    }
+  }
+
+  async initLocalStream() {
+    log.debug("Initializing local stream");
+
+    // Stop any existing media stream
+    if (this.localStream) {
+      for (const track of this.localStream.getTracks()) {
+        track.stop();
+      }
     }
 
+    // Set up the local stream
+    const stream = await this.getLocalMedia();
+    if (!stream) return false;
+
+    this.localStream = stream;
+    this.notifyReceiveOnly();
+    this.initSpeakingDetection(game.user.id, this.localStream);
     return true;
   }
 
   initPeer(userId) {
+    // Only one side of each connection creates offers; ask the other side to start instead
+    if (!this.isInitiator(userId)) {
+      log.debug("Requesting connection from", userId);
+      game.socket.emit(`module.${MODULE_NAME}`, {
+        action: "peer-request",
+        userId,
+      });
+      return;
+    }
+
     if (!this.peers.has(userId) || !this.peers.get(userId).connected) {
+      this.closePeer(userId);
       this.setupPeer(userId, true);
     } else {
       log.warn("initPeer: Peer already exists for", userId);
@@ -129,85 +822,1377 @@ export default class SimplePeerClient {
 
   initSocketListeners() {
     game.socket.on(`module.${MODULE_NAME}`, (request, userId) => {
-      if (request.userId !== game.user.id) {
+      if (!request || request.userId !== game.user.id) {
         // The request is not for us
         return;
       }
 
       log.debug("Socket event:", request, "from:", userId);
-      switch (request.action) {
-        case "peer-signal":
-          this.signal(userId, request.data);
-          break;
-        case "peer-close":
-          this.closePeer(userId);
-          break;
-        default:
-          log.warn("Unknown socket event:", request);
+      if (!validation.isValidRequest(request)) {
+        log.warn("Ignoring invalid socket event:", request, "from:", userId);
+        return;
+      }
+
+      const user = game.users.get(userId);
+      if (!user || !user.active) {
+        log.warn("Ignoring socket event from inactive user:", userId);
+        return;
       }
+
+      // Verifying signals is asynchronous, so queue requests to handle them in order
+      const previous = this._incomingRequests.get(userId) || Promise.resolve();
+      this._incomingRequests.set(userId, previous
+        .then(() => this.handleSocketRequest(userId, request))
+        .catch((err) => log.error("Error handling socket event:", err)));
     });
   }
 
-  send(userId, data) {
-    if (this.peers.has(userId) && this.peers.get(userId).connected) {
-      this.peers.get(userId).send(data);
-    }
+  /**
+   * Start showing when a user is speaking, and counting their talk time.
+   * The tracks themselves are analysed, so muted or disabled tracks don't count as speaking.
+   * @param {string} userId         The User ID
+   * @param {MediaStream} stream    The user's stream
+   */
+  initSpeakingDetection(userId, stream) {
+    this.stopSpeakingDetection(userId);
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    const detector = new VoiceActivityDetector(stream, {
+      getThreshold: () => (userId === game.user.id
+        ? this.settings.get("client", "voice.activityThreshold") : SPEAKING_THRESHOLD),
+      getHangTime: () => SPEAKING_HANG_TIME,
+      onSpeakingChange: (speaking) => this.onUserSpeakingChange(userId, speaking),
+      interval: SPEAKING_INTERVAL,
+      cloneTracks: false,
+    });
+    this.speakingDetectors.set(userId, detector);
+    detector.start();
   }
 
-  setupPeer(userId, isInitiator = false) {
-    this.peers.set(userId, new SimplePeer({
-      initiator: isInitiator,
-      stream: this.localStream,
-    }));
+  initVideoEncodingUpdates() {
+    clearInterval(this._videoEncodingInterval);
+    this._videoEncodingInterval = setInterval(
+      () => this.updateVideoEncodings(true),
+      VIDEO_ENCODING_INTERVAL,
+    );
+  }
 
-    this.peers.get(userId).on("signal", (data) => {
-      log.debug("SimplePeer signal (", userId, "):", data);
-      game.socket.emit(`module.${MODULE_NAME}`, {
-        action: "peer-signal",
-        userId,
-        data,
-      });
-    });
+  initVoiceActivityDetection() {
+    if (this.voiceActivityDetector) {
+      this.voiceActivityDetector.stop();
+      this.voiceActivityDetector = null;
+    }
 
-    this.peers.get(userId).on("connect", () => {
-      log.debug("SimplePeer connect (", userId, ")");
-    });
+    if (this.settings.get("client", "voice.mode") !== "activity"
+      || !this.localStream || this.localStream.getAudioTracks().length === 0) {
+      return;
+    }
 
-    this.peers.get(userId).on("data", (data) => {
-      log.info("SimplePeer data (", userId, "):", data.toString());
+    log.debug("Starting voice activity detection");
+    this.voiceActivityDetector = new VoiceActivityDetector(this.localStream, {
+      getThreshold: () => this.settings.get("client", "voice.activityThreshold"),
+      getHangTime: () => game.settings.get(MODULE_NAME, "voiceActivityHangTime"),
+      onSpeakingChange: (speaking) => {
+        log.debug("Voice activity:", speaking);
+        this.avMaster.broadcast(speaking && this.avMaster.canUserShareAudio(game.user.id));
+      },
     });
+    this.voiceActivityDetector.start();
+  }
 
-    this.peers.get(userId).on("stream", (stream) => {
-      // got remote video stream, now let's show it in a video tag
-      log.debug("SimplePeer stream (", userId, "):", stream);
+  /**
+   * Determine which side of a connection creates the offers, so that two users connecting at the
+   * same time don't both send offers that cross each other.
+   * The user with the lower ID is always the initiator.
+   * @param {string} userId     The remote User ID
+   * @return {boolean}          Is the local user the initiator?
+   */
+  isInitiator(userId) {
+    return game.user.id < userId;
+  }
 
-      this.remoteStreams.set(userId, stream);
-      this.render();
-    });
+  /**
+   * Check that a session description from another user only sends the media they are allowed
+   * to broadcast and, if fingerprint verification is enabled, that it is signed by their key
+   * @param {string} userId       The User ID that sent the signal
+   * @param {string} sessionId    The peer session ID
+   * @param {object} data         The signal data
+   * @param {object} [requestIdentity]  The identity sent with the signal
+   * @return {Promise<boolean>}   Should the signal be applied?
+   */
+  async isSignalAllowed(userId, sessionId, data, requestIdentity) {
+    if (!data.sdp) return true;
 
-    this.peers.get(userId).on("close", () => {
-      log.debug("SimplePeer close (", userId, ")");
-      this.closePeer(userId);
-    });
+    // The relay also sends the media of the users it forwards, which must be allowed to send it
+    const isRelay = userId === this.getRelayUserId();
+    for (const { kind, streamId } of sdpUtils.getSendingStreams(data.sdp)) {
+      const relayed = isRelay ? this.relayedStreams.get(streamId) : null;
+      const senderId = relayed && relayed.relayId === userId ? relayed.sourceUserId : userId;
+      if (!this.canUserSend(senderId, kind)) {
+        log.warn("Rejecting", data.type, "from", userId, "sending", kind, "of", senderId,
+          "without permission");
+        return false;
+      }
+    }
 
-    this.peers.get(userId).on("error", (err) => {
-      if (err.code === "ERR_DATA_CHANNEL") {
-        log.warn("Peer connection closed (", userId, ")");
-      } else {
-        log.error("SimplePeer error (", userId, "):", err);
+    if (game.settings.get(MODULE_NAME, "verifyFingerprints")) {
+      return identity.verifyDescription(userId, data.sdp, sessionId, requestIdentity);
+    }
+
+    return true;
+  }
+
+  /**
+   * Tell the user why their camera or microphone couldn't be used
+   * @param {string} kind         The kind of device that failed ("audio" or "video")
+   * @param {Error} err           The error from getUserMedia
+   */
+  notifyMediaError(kind, err) {
+    ui.notifications.error(this.getMediaErrorMessage(kind, err));
+  }
+
+  /**
+   * Let the user know when they can only receive audio and video from others, because none of
+   * the devices they selected could be used. Devices that fail on their own are already reported.
+   */
+  notifyReceiveOnly() {
+    const { audio, video } = this.getMediaConstraints();
+    if ((audio || video) && this.localStream && this.localStream.getTracks().length === 0) {
+      ui.notifications.warn(game.i18n.localize(`${LANG_NAME}.receiveOnly`));
+    }
+  }
+
+  async onAudioProcessingChanged() {
+    // Processing options can't reliably be changed on a live track, so get a new one
+    await this.changeLocalStream(["audio"]);
+
+    // Renegotiate so the Opus parameters for high fidelity audio are applied
+    for (const peer of this.peers.values()) {
+      if (!peer.destroyed) peer.negotiate();
+    }
+  }
+
+  onCodecsChanged(setting) {
+    const { scope } = game.settings.settings.get(`${MODULE_NAME}.${setting}`);
+
+    // Tell whoever changed a codec order about the names that will be ignored
+    if (["videoCodecOrder", "clientVideoCodecOrder"].includes(setting)) {
+      const unknown = game.settings.get(MODULE_NAME, setting).split(",")
+        .map((name) => name.trim())
+        .filter((name) => name && !VIDEO_CODECS.includes(name.toUpperCase()));
+      if (unknown.length > 0 && (scope === "client" || game.user.isGM)) {
+        ui.notifications.warn(game.i18n.format(`${LANG_NAME}.unknownVideoCodecs`, {
+          codecs: unknown.join(", "),
+          supported: VIDEO_CODECS.join(", "),
+        }));
       }
+    }
 
-      if (!this.peers.get(userId).connected) {
-        this.closePeer(userId);
+    // Renegotiate so the codec options are applied. A world setting changes on every client, so
+    // only the initiator renegotiates; simple-peer has the other side ask the initiator to.
+    for (const [userId, peer] of this.peers) {
+      if (!peer.destroyed && (scope === "client" || this.isInitiator(userId))) peer.negotiate();
+    }
+  }
+
+  /**
+   * Apply a change to the moderation the GMs have in place, and tell users when a GM moderated them
+   */
+  onModerationChanged() {
+    const gm = game.users.get(moderation.getModeration().moderator);
+    const muted = moderation.isMuted(game.user.id);
+    const hidden = moderation.isHidden(game.user.id);
+
+    if (muted !== this.moderatedSelf.muted || hidden !== this.moderatedSelf.hidden) {
+      if (gm && muted !== this.moderatedSelf.muted) {
+        ui.notifications[muted ? "warn" : "info"](game.i18n.format(
+          `${LANG_NAME}.${muted ? "moderationMutedBy" : "moderationUnmutedBy"}`,
+          { user: gm.name },
+        ));
       }
-    });
+      if (gm && hidden !== this.moderatedSelf.hidden) {
+        ui.notifications[hidden ? "warn" : "info"](game.i18n.format(
+          `${LANG_NAME}.${hidden ? "moderationHiddenBy" : "moderationShownBy"}`,
+          { user: gm.name },
+        ));
+      }
+      this.moderatedSelf = { muted, hidden };
+      this.updateLocalTracks();
+    }
+
+    for (const userId of this.remoteStreams.keys()) {
+      this.applyUserAudioSettings(userId);
+    }
+    ui.webrtc.render();
+  }
+
+  onPeerDisconnected(userId) {
+    if (!this.reconnecting.has(userId)) {
+      this.reconnecting.set(userId, { attempts: 0, timeout: null });
+      this.render();
+    }
+
+    // Give the connection a moment to recover on its own before restarting ICE
+    const state = this.reconnecting.get(userId);
+    clearTimeout(state.timeout);
+    state.timeout = setTimeout(() => this.restartIce(userId), ICE_RESTART_DELAY);
+  }
+
+  onPeerLost(userId) {
+    this.closePeer(userId);
+
+    if (!this.shouldConnect(userId)) {
+      log.debug("Not reconnecting to inactive user (", userId, ")");
+      this.cancelReconnect(userId);
+      this.render();
+      return;
+    }
+
+    const user = game.users.get(userId);
+    const state = this.reconnecting.get(userId) || { attempts: 0, timeout: null };
+    clearTimeout(state.timeout);
+
+    if (state.attempts >= game.settings.get(MODULE_NAME, "maxReconnectAttempts")) {
+      log.warn("Giving up reconnecting to", userId, "after", state.attempts, "attempts");
+      ui.notifications.warn(game.i18n.format(`${LANG_NAME}.reconnectFailed`, { user: user.name }));
+      this.reconnecting.delete(userId);
+      this.render();
+      return;
+    }
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** state.attempts, RECONNECT_MAX_DELAY);
+    log.debug("Reconnecting peer (", userId, ") in", delay, "ms");
+    state.attempts += 1;
+    state.timeout = setTimeout(() => this.reconnectPeer(userId), delay);
+    this.reconnecting.set(userId, state);
+    this.render();
   }
 
-  signal(userId, data) {
-    // If a peered connection isn't established yet, create one
-    if (!this.peers.has(userId)) {
-      this.setupPeer(userId, false);
+  /**
+   * Tell the user when GMs start or stop recording the call
+   */
+  onRecordingChanged() {
+    const { users = [] } = game.settings.get(MODULE_NAME, "recording");
+    const recordingUsers = new Set(users.filter((id) => {
+      const user = game.users.get(id);
+      return user && user.active && !user.isSelf;
+    }));
+
+    for (const userId of recordingUsers) {
+      if (this.recordingUsers.has(userId)) continue;
+      const { name } = game.users.get(userId);
+      ui.notifications.warn(game.i18n.format(`${LANG_NAME}.recordingStartedBy`, { user: name }));
     }
-    this.peers.get(userId).signal(data);
+    for (const userId of this.recordingUsers) {
+      if (recordingUsers.has(userId)) continue;
+      const user = game.users.get(userId);
+      if (!user || !user.active) continue;
+      ui.notifications.info(game.i18n.format(`${LANG_NAME}.recordingStoppedBy`, { user: user.name }));
+    }
+
+    this.recordingUsers = recordingUsers;
+    this.render();
+  }
+
+  onRelayStream(relayId, sourceUserId, streamId) {
+    if (streamId) {
+      if (relayId !== this.getRelayUserId()) {
+        log.warn("Ignoring relayed stream from user that isn't the relay", relayId);
+        return;
+      }
+
+      // The relay only has the media of other active users that are allowed to send some
+      const source = game.users.get(sourceUserId);
+      if (!source || !source.active || source.isSelf || sourceUserId === relayId
+        || !["audio", "video"].some((kind) => this.canUserSend(sourceUserId, kind))) {
+        log.warn("Ignoring relayed stream claimed for", sourceUserId, "by", relayId);
+        return;
+      }
+
+      log.debug("Relay (", relayId, ") forwarding stream of", sourceUserId, ":", streamId);
+      this.relayedStreams.set(streamId, { sourceUserId, relayId });
+      return;
+    }
+
+    // A previous relay may still stop forwarding after a new relay has been elected
+    for (const [id, relayed] of this.relayedStreams) {
+      if (relayed.sourceUserId === sourceUserId && relayed.relayId === relayId) {
+        this.relayedStreams.delete(id);
+      }
+    }
+    if (this.relayedUsers.get(sourceUserId) === relayId) {
+      this.removeRemoteStream(sourceUserId);
+      this.render();
+    }
+  }
+
+  /**
+   * Keep the codecs a user's connection to another user sends with
+   * @param {string} userId         The User ID of the sending user
+   * @param {string} peerUserId     The User ID the connection is with
+   * @param {object[]} codecs       The codecs, or an empty list when the connection closed
+   */
+  onRemoteCodecs(userId, peerUserId, codecs) {
+    if (userId !== game.user.id && !game.user.isGM) return;
+
+    const key = `${userId}.${peerUserId}`;
+    if (codecs.length > 0) {
+      this.codecReports.set(key, { userId, peerUserId, codecs });
+    } else {
+      this.codecReports.delete(key);
+    }
+  }
+
+  /**
+   * Apply a moderation command from a GM
+   * @param {string} userId       The User ID of the GM
+   * @param {object} request      The moderation request
+   */
+  onRemoteModeration(userId, request) {
+    const sender = game.users.get(userId);
+    if (!sender || !sender.isGM) {
+      log.warn("Ignoring moderation from non-GM user", userId);
+      return;
+    }
+
+    switch (request.command) {
+      case "request-mute":
+        // A request rather than a forced mute, so users can unmute themselves from their camera view
+        ui.notifications.info(game.i18n.format(`${LANG_NAME}.moderationRequestMuteBy`, { user: sender.name }));
+        if (this.muteRequested) break;
+        this.muteRequested = true;
+        this.updateLocalTracks();
+        ui.webrtc.render();
+        break;
+      default:
+        log.warn("Unknown moderation command from", userId, ":", request.command);
+    }
+  }
+
+  onRemoteScreenShare(userId, streamId) {
+    if (streamId && !this.canUserShareScreen(userId)) {
+      log.warn("Ignoring screen share from user without permission:", userId);
+      return;
+    }
+
+    const screenShare = this.remoteScreenShares.get(userId);
+    if (screenShare && screenShare.popout) {
+      screenShare.popout.close();
+    }
+
+    if (streamId) {
+      log.debug("Screen share announced (", userId, "):", streamId);
+      this.remoteScreenShares.set(userId, { streamId, popout: null });
+    } else {
+      log.debug("Screen share stopped (", userId, ")");
+      this.remoteScreenShares.delete(userId);
+    }
+  }
+
+  onRemoteWhisper(userId, targetUserId) {
+    if (targetUserId) {
+      this.whispers.set(userId, targetUserId);
+    } else {
+      this.whispers.delete(userId);
+    }
+
+    this.applyUserAudioSettings(userId);
+    this.updateRoomSenders();
+    ui.webrtc.render();
+  }
+
+  onRenderCameraViews(cameraViews, html) {
+    for (const userId of this.reconnecting.keys()) {
+      const cameraView = html.find(`.camera-view[data-user="${userId}"]`);
+      if (cameraView.find(".simplepeer-reconnecting").length > 0) continue;
+
+      cameraView.append(`<div class="simplepeer-reconnecting">
+        <i class="fas fa-sync fa-spin"></i> ${game.i18n.localize(`${LANG_NAME}.reconnecting`)}
+      </div>`);
+    }
+
+    // Add the talk time control to the GM's camera view
+    if (game.user.isGM) {
+      const talkTimeControl = $(`<a class="av-control simplepeer-talk-time"
+        title="${game.i18n.localize(`${LANG_NAME}.talkTime`)}">
+        <i class="fas fa-stopwatch"></i>
+      </a>`);
+      talkTimeControl.on("click", () => this.openTalkTime());
+      html.find(`.camera-view[data-user="${game.user.id}"] .control-bar`).first().append(talkTimeControl);
+    }
+
+    // Add the connection statistics control to our own camera view
+    const statsControl = $(`<a class="av-control simplepeer-connection-stats"
+      title="${game.i18n.localize(`${LANG_NAME}.connectionStats`)}">
+      <i class="fas fa-signal"></i>
+    </a>`);
+    statsControl.on("click", () => this.openConnectionStats());
+    html.find(`.camera-view[data-user="${game.user.id}"] .control-bar`).first().append(statsControl);
+  }
+
+  onScreenShareUsersChanged() {
+    if (this.screenStream && !this.canUserShareScreen(game.user.id)) {
+      ui.notifications.warn(game.i18n.localize(`${LANG_NAME}.screenShareNotAllowed`));
+      this.stopScreenShare();
+    }
+
+    ui.webrtc.render();
+  }
+
+  /**
+   * Use the TURN credentials a GM sent in answer to our request
+   * @param {string} userId       The User ID of the GM
+   * @param {object} request      The credentials, with null values if the GM has no secret
+   */
+  onTurnCredentials(userId, request) {
+    const pending = this._turnCredentialsRequest;
+    if (!pending || pending.gmId !== userId) {
+      log.warn("Ignoring TURN credentials that weren't requested from", userId);
+      return;
+    }
+
+    pending.resolve(request.username === null ? null : {
+      username: request.username,
+      credential: request.credential,
+      ttl: this.getTurnCredentialTtl(request.ttl),
+    });
+  }
+
+  /**
+   * As a GM, send a player the TURN credentials generated for them
+   * @param {string} userId       The User ID of the player
+   */
+  async onTurnCredentialsRequest(userId) {
+    if (!game.user.isGM) return;
+
+    const credentials = await this.generateTurnCredentials(userId);
+    game.socket.emit(`module.${MODULE_NAME}`, {
+      action: "turn-credentials",
+      userId,
+      username: credentials ? credentials.username : null,
+      credential: credentials ? credentials.credential : null,
+      ttl: credentials ? credentials.ttl : 0,
+    });
+  }
+
+  onUserSpeakingChange(userId, speaking) {
+    this.avMaster.setUserIsSpeaking(userId, speaking);
+
+    const talkTime = this.talkTime.get(userId) || { total: 0, since: null };
+    if (speaking && !talkTime.since) {
+      talkTime.since = Date.now();
+    } else if (!speaking && talkTime.since) {
+      talkTime.total += Date.now() - talkTime.since;
+      talkTime.since = null;
+    }
+    this.talkTime.set(userId, talkTime);
+  }
+
+  async onVideoQualityChanged() {
+    if (this.localStream) {
+      for (const track of this.localStream.getVideoTracks()) {
+        try {
+          await track.applyConstraints(this.getVideoQualityConstraints());
+        } catch (err) {
+          log.warn("Unable to apply video quality constraints:", err);
+        }
+      }
+    }
+
+    this.updateVideoEncodings();
+  }
+
+  onVoiceRoomsChanged() {
+    for (const userId of this.remoteStreams.keys()) {
+      this.applyUserAudioSettings(userId);
+    }
+    this.updateRoomSenders();
+    ui.webrtc.render();
+  }
+
+  openConnectionStats() {
+    if (!this.connectionStatsViewer) {
+      this.connectionStatsViewer = new ConnectionStatsViewer(this);
+    }
+    this.connectionStatsViewer.render(true);
+  }
+
+  openSelfTest() {
+    if (!this.selfTestViewer) {
+      this.selfTestViewer = new SelfTestViewer(this);
+    }
+    this.selfTestViewer.render(true);
+  }
+
+  openTalkTime() {
+    if (!this.talkTimeViewer) {
+      this.talkTimeViewer = new TalkTimeViewer(this);
+    }
+    this.talkTimeViewer.render(true);
+  }
+
+  reconnectPeer(userId) {
+    if (!this.shouldConnect(userId)) {
+      this.cancelReconnect(userId);
+      this.render();
+      return;
+    }
+
+    log.debug("Reconnecting peer (", userId, ")");
+    this.initPeer(userId);
+  }
+
+  /**
+   * Stop playing, analysing and recording the stream of a remote user
+   * @param {string} userId       The User ID
+   */
+  removeRemoteStream(userId) {
+    this.remoteStreams.delete(userId);
+    this.relayedUsers.delete(userId);
+    this.audioMixer.removeStream(userId);
+    this.stopSpeakingDetection(userId);
+    if (this.sessionRecorder) this.sessionRecorder.removeStream(userId);
+  }
+
+  /**
+   * Find the codecs we send with on a connection, and report them to the GMs so they can check
+   * the codec settings took effect
+   * @param {string} userId         The User ID the connection is with
+   */
+  reportCodecs(userId) {
+    const peer = this.peers.get(userId);
+    const description = peer && peer._pc && !peer.destroyed ? peer._pc.currentRemoteDescription : null;
+    const codecs = description ? sdpUtils.getNegotiatedCodecs(description.sdp) : [];
+    if (codecs.length > 0) log.debug("Negotiated codecs (", userId, "):", codecs);
+
+    this.onRemoteCodecs(game.user.id, userId, codecs);
+    for (const gm of game.users.filter((u) => u.isGM && u.active && !u.isSelf)) {
+      game.socket.emit(`module.${MODULE_NAME}`, {
+        action: "codecs",
+        userId: gm.id,
+        peerUserId: userId,
+        codecs,
+      });
+    }
+  }
+
+  /**
+   * Ask a GM to generate TURN credentials for us from the shared secret
+   * @return {Promise<{username: string, credential: string, ttl: number}|null>}  The
+   *   credentials and their lifetime (s), or null if no GM sent any
+   */
+  requestTurnCredentials() {
+    const gm = game.users.find((u) => u.isGM && u.active);
+    if (!gm) return Promise.resolve(null);
+
+    // Only the latest request is answered
+    if (this._turnCredentialsRequest) this._turnCredentialsRequest.resolve(null);
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        log.warn("No TURN credentials received from", gm.id);
+        this._turnCredentialsRequest.resolve(null);
+      }, TURN_CREDENTIALS_TIMEOUT);
+
+      this._turnCredentialsRequest = {
+        gmId: gm.id,
+        resolve: (credentials) => {
+          clearTimeout(timeout);
+          this._turnCredentialsRequest = null;
+          resolve(credentials);
+        },
+      };
+      game.socket.emit(`module.${MODULE_NAME}`, {
+        action: "turn-credentials-request",
+        userId: gm.id,
+      });
+    });
+  }
+
+  /**
+   * Start counting talk time from zero for every user
+   */
+  resetTalkTime() {
+    const now = Date.now();
+    for (const talkTime of this.talkTime.values()) {
+      talkTime.total = 0;
+      if (talkTime.since) talkTime.since = now;
+    }
+  }
+
+  restartIce(userId) {
+    const peer = this.peers.get(userId);
+    if (!peer || peer.destroyed) return;
+
+    // Reconnect from scratch if the connection is still down once the restart had time to work
+    const state = this.reconnecting.get(userId);
+    if (state) {
+      clearTimeout(state.timeout);
+      state.timeout = setTimeout(() => {
+        if (this.peers.get(userId) !== peer) return;
+        log.warn("ICE restart didn't recover the connection (", userId, ")");
+        this.onPeerLost(userId);
+      }, peer.initiator ? ICE_RESTART_TIMEOUT : ICE_RESTART_TIMEOUT * 2);
+    }
+
+    // Only the initiator creates offers, the other side waits for the new offer
+    if (!peer.initiator) {
+      log.debug("Waiting for initiator to restart ICE (", userId, ")");
+      return;
+    }
+
+    log.debug("Restarting ICE (", userId, ")");
+    peer._pc.restartIce();
+    peer.negotiate();
+  }
+
+  send(userId, data) {
+    if (this.peers.has(userId) && this.peers.get(userId).connected) {
+      this.peers.get(userId).send(data);
+    }
+  }
+
+  /**
+   * Send a moderation command to a user
+   * @param {string} userId       The User ID to send to
+   * @param {object} data         The command and its options
+   */
+  sendModeration(userId, data) {
+    game.socket.emit(`module.${MODULE_NAME}`, {
+      action: "moderation",
+      userId,
+      ...data,
+    });
+  }
+
+  sendPeerClose(userId) {
+    const peer = this.peers.get(userId);
+    game.socket.emit(`module.${MODULE_NAME}`, {
+      action: "peer-close",
+      userId,
+      sessionId: peer ? peer.sessionId : undefined,
+    });
+  }
+
+  /**
+   * As a GM, tell everyone, including users that log in later, whether we are recording
+   * @return {Promise}
+   */
+  sendRecordingState() {
+    const { users = [] } = game.settings.get(MODULE_NAME, "recording");
+    const recordingUsers = users.filter((id) => id !== game.user.id);
+    if (this.sessionRecorder) recordingUsers.push(game.user.id);
+    return game.settings.set(MODULE_NAME, "recording", { users: recordingUsers });
+  }
+
+  sendRelayStream(userId, sourceUserId, streamId) {
+    game.socket.emit(`module.${MODULE_NAME}`, {
+      action: "relay-stream",
+      userId,
+      sourceUserId,
+      streamId,
+    });
+  }
+
+  sendScreenShare(userId) {
+    game.socket.emit(`module.${MODULE_NAME}`, {
+      action: "screen-share",
+      userId,
+      streamId: this.screenStream ? this.screenStream.id : null,
+    });
+  }
+
+  sendWhisper(userId, targetUserId) {
+    // The relay also needs to know, so it only forwards the whisper to the target
+    const relayId = this.getRelayUserId();
+    const recipients = [userId];
+    if (relayId && relayId !== game.user.id && relayId !== userId) recipients.push(relayId);
+
+    for (const recipient of recipients) {
+      game.socket.emit(`module.${MODULE_NAME}`, {
+        action: "whisper",
+        userId: recipient,
+        targetUserId,
+      });
+    }
+  }
+
+  /**
+   * Set the audio output device of remote users, whether their audio is mixed or played by
+   * their camera views
+   * @param {string} sinkId       The device ID
+   */
+  async setAudioSinkId(sinkId) {
+    this.audioSinkId = sinkId || "";
+    for (const userId of this.remoteStreams.keys()) {
+      const videoElement = ui.webrtc ? ui.webrtc.getUserVideoElement(userId) : null;
+      if (videoElement) this.setVideoElementAudio(userId, videoElement);
+    }
+    await this.audioMixer.setSinkId(this.audioSinkId);
+  }
+
+  /**
+   * Play, analyse and record the stream of a remote user, and forward it when we are the relay
+   * @param {string} userId         The User ID
+   * @param {MediaStream} stream    The user's stream
+   * @param {string} [relayId]      The User ID of the relay the stream was forwarded by
+   */
+  setRemoteStream(userId, stream, relayId = null) {
+    this.remoteStreams.set(userId, stream);
+    if (relayId) {
+      this.relayedUsers.set(userId, relayId);
+    } else {
+      this.relayedUsers.delete(userId);
+    }
+
+    // Mix the new stream if the user's audio needs the mixer
+    this.audioMixer.removeStream(userId);
+    this.applyUserAudioSettings(userId);
+    this.initSpeakingDetection(userId, stream);
+    if (this.sessionRecorder) this.sessionRecorder.addStream(userId, stream);
+    this.updateForwarding();
+    this.render();
+  }
+
+  setupPeer(userId, isInitiator = false, sessionId = randomID()) {
+    // Announce our screen share before any signals so the remote can tell the streams apart
+    if (this.screenStream) {
+      this.sendScreenShare(userId);
+    }
+
+    const peer = new SimplePeer({
+      initiator: isInitiator,
+      streams: [this.localStream, this.screenStream].filter((s) => s),
+      config: this.peerConfig,
+      sdpTransform: this.transformLocalSdp.bind(this),
+    });
+    peer.sessionId = sessionId;
+    this.peers.set(userId, peer);
+
+    // As the relay, send the new user everyone else's media
+    this.updateForwarding();
+
+    peer.on("signal", (data) => {
+      log.debug("SimplePeer signal (", userId, "):", data);
+      this.emitSignal(userId, sessionId, data);
+    });
+
+    peer.on("connect", () => {
+      log.debug("SimplePeer connect (", userId, ")");
+      this.updateVideoEncodings();
+      this.updateRoomSenders();
+      this.fileTransfers.onPeerConnected(userId);
+    });
+
+    peer.on("negotiated", () => {
+      // Senders may have changed, so make sure they use the right encodings
+      this.updateVideoEncodings();
+      this.updateRoomSenders();
+      this.reportCodecs(userId);
+    });
+
+    peer.on("data", (data) => {
+      this.messenger.onData(userId, data);
+    });
+
+    peer.on("stream", (stream) => {
+      // got remote video stream, now let's show it in a video tag
+      log.debug("SimplePeer stream (", userId, "):", stream);
+
+      const screenShare = this.remoteScreenShares.get(userId);
+      if (screenShare && screenShare.streamId === stream.id) {
+        screenShare.popout = new ScreenSharePopout(
+          game.users.get(userId),
+          stream,
+          this.settings.get("client", "audioSink"),
+        );
+        screenShare.popout.render(true);
+        return;
+      }
+
+      // Streams forwarded by the relay belong to the user they come from
+      const relayed = this.relayedStreams.get(stream.id);
+      if (relayed && relayed.relayId === userId) {
+        this.setRemoteStream(relayed.sourceUserId, stream, userId);
+        return;
+      }
+
+      this.setRemoteStream(userId, stream);
+    });
+
+    peer.on("track", (track, stream) => {
+      log.debug("SimplePeer track (", userId, "):", track);
+
+      // Tracks added by renegotiation join the existing stream, so the view needs refreshing
+      const relayed = this.relayedStreams.get(stream.id);
+      const streamUserId = relayed && relayed.relayId === userId ? relayed.sourceUserId : userId;
+      if (this.remoteStreams.get(streamUserId) === stream) {
+        if (track.kind === "audio") this.setRemoteStream(streamUserId, stream, relayed ? userId : null);
+        this.forwardTrack(streamUserId, track, stream);
+      }
+      this.render();
+    });
+
+    peer.on("iceStateChange", (iceConnectionState) => {
+      // Ignore events from peers that have already been replaced
+      if (this.peers.get(userId) !== peer) return;
+
+      log.debug("SimplePeer iceStateChange (", userId, "):", iceConnectionState);
+      switch (iceConnectionState) {
+        case "connected":
+        case "completed":
+          if (this.reconnecting.has(userId)) {
+            log.info("Peer reconnected (", userId, ")");
+            this.cancelReconnect(userId);
+            this.render();
+          }
+          break;
+        case "disconnected":
+          this.onPeerDisconnected(userId);
+          break;
+        default:
+          break;
+      }
+    });
+
+    peer.on("close", () => {
+      log.debug("SimplePeer close (", userId, ")");
+
+      // Peers closed through closePeer have already been removed
+      if (this.peers.get(userId) !== peer) return;
+      this.onPeerLost(userId);
+    });
+
+    peer.on("error", (err) => {
+      if (err.code === "ERR_DATA_CHANNEL") {
+        log.warn("Peer connection closed (", userId, ")");
+      } else {
+        log.error("SimplePeer error (", userId, "):", err);
+      }
+    });
+
+    return peer;
+  }
+
+  /**
+   * Save and apply the volume or local mute for a remote user
+   * @param {string} userId       The User ID
+   * @param {object} changes      The changed volume and/or muted values
+   */
+  async setUserAudioSettings(userId, changes) {
+    const userAudio = duplicate(game.settings.get(MODULE_NAME, "userAudio"));
+    userAudio[userId] = { ...this.getUserAudioSettings(userId), ...changes };
+    await game.settings.set(MODULE_NAME, "userAudio", userAudio);
+
+    this.applyUserAudioSettings(userId);
+    if (hasProperty(changes, "muted")) ui.webrtc.render();
+  }
+
+  /**
+   * Play a remote user's audio from their camera view, unless it goes through the audio mixer
+   * @param {string} userId                   The User ID
+   * @param {HTMLVideoElement} videoElement   The camera view's video element
+   */
+  setVideoElementAudio(userId, videoElement) {
+    if (userId === game.user.id) return;
+    videoElement.muted = this.audioMixer.nodes.has(userId) || this.settings.get("client", "muteAll");
+
+    if (typeof videoElement.sinkId === "undefined") {
+      log.debug("Browser does not support output device selection");
+      return;
+    }
+    videoElement.setSinkId(this.audioSinkId)
+      .catch((err) => log.error("Error setting audio output device:", err));
+  }
+
+  /**
+   * Should we be connected to a user? Users need to be active, and at least one side of the
+   * connection needs to be allowed to broadcast audio or video.
+   * With the relay topology, users only connect to the relay, which connects to everyone.
+   * @param {string} userId     The remote User ID
+   * @return {boolean}
+   */
+  shouldConnect(userId) {
+    const user = game.users.get(userId);
+    if (!user || !user.active || user.isSelf) return false;
+
+    const relayId = this.getRelayUserId();
+    if (relayId) return relayId === userId || relayId === game.user.id;
+
+    const canBroadcast = (id) => this.avMaster.canUserBroadcastAudio(id)
+      || this.avMaster.canUserBroadcastVideo(id);
+    return canBroadcast(userId) || canBroadcast(game.user.id);
+  }
+
+  signal(userId, data, sessionId) {
+    const peer = this.peers.get(userId);
+    if (peer && peer.sessionId === sessionId) {
+      peer.signal(this.transformRemoteSignal(data));
+      return;
+    }
+
+    // An offer from the initiator starts a new session, replacing any peer we already have
+    if (!this.isInitiator(userId) && data.type === "offer" && this.shouldConnect(userId)) {
+      log.debug("New peer session (", userId, "):", sessionId);
+      this.closePeer(userId);
+
+      // The initiator is already reconnecting, so there is no need for us to ask again
+      if (this.reconnecting.has(userId)) {
+        clearTimeout(this.reconnecting.get(userId).timeout);
+      }
+
+      this.setupPeer(userId, false, sessionId).signal(this.transformRemoteSignal(data));
+      return;
+    }
+
+    // Anything else belongs to an old session or is an offer colliding with our own
+    log.debug("Discarding signal for session", sessionId, "from", userId, ":", data);
+  }
+
+  startRecording() {
+    if (this.sessionRecorder || !game.user.isGM) return;
+
+    if (!SessionRecorder.isSupported) {
+      ui.notifications.error(game.i18n.localize(`${LANG_NAME}.recordingNotSupported`));
+      return;
+    }
+
+    log.debug("Starting recording");
+    this.sessionRecorder = new SessionRecorder({
+      separateTracks: game.settings.get(MODULE_NAME, "recordSeparateTracks"),
+    });
+    const streams = new Map(this.remoteStreams);
+    if (this.localStream) streams.set(game.user.id, this.localStream);
+    this.sessionRecorder.start(streams);
+
+    // Tell every user, including those not taking part in the call
+    this.sendRecordingState();
+    ui.notifications.warn(game.i18n.localize(`${LANG_NAME}.recordingStartedLocal`));
+    ui.webrtc.render();
+  }
+
+  async startScreenShare() {
+    if (this.screenStream) return;
+
+    if (!this.canUserShareScreen(game.user.id)) {
+      ui.notifications.warn(game.i18n.localize(`${LANG_NAME}.screenShareNotAllowed`));
+      return;
+    }
+
+    try {
+      this.screenStream = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+        audio: true,
+      });
+    } catch (err) {
+      // Also thrown when the user cancels the selection
+      log.warn("Screen share request failed:", err);
+      return;
+    }
+    log.debug("Starting screen share:", this.screenStream);
+
+    // Stop sharing when the browser's own "stop sharing" control is used
+    for (const track of this.screenStream.getVideoTracks()) {
+      track.addEventListener("ended", () => this.stopScreenShare());
+    }
+
+    for (const [userId, peer] of this.peers) {
+      this.sendScreenShare(userId);
+      peer.addStream(this.screenStream);
+    }
+
+    ui.webrtc.render();
+  }
+
+  /**
+   * Send our audio to a single user, whatever voice room they are in, until stopWhisper is called
+   * @param {string} userId       The User ID to whisper to
+   */
+  startWhisper(userId) {
+    if (!this.avMaster.canUserShareAudio(game.user.id)
+      || this.whispers.get(game.user.id) === userId) {
+      return;
+    }
+
+    log.debug("Whispering to", userId);
+    // Remember whether the voice mode had us broadcasting, to go back to it after the whisper
+    const broadcasting = this.whispers.has(game.user.id)
+      ? this.broadcastAfterWhisper : this.localAudioBroadcastEnabled;
+    this.avMaster.broadcast(true);
+    this.whispers.set(game.user.id, userId);
+    this.broadcastAfterWhisper = broadcasting;
+    this.sendWhisper(userId, userId);
+    this.updateRoomSenders();
+
+    // Whispers are meant to be short, so don't keep one going if the release is missed
+    clearTimeout(this._whisperTimeout);
+    this._whisperTimeout = setTimeout(this.stopWhisper.bind(this), MAX_WHISPER_DURATION);
+  }
+
+  async stopRecording() {
+    if (!this.sessionRecorder) return;
+    log.debug("Stopping recording");
+
+    const recorder = this.sessionRecorder;
+    this.sessionRecorder = null;
+    this.sendRecordingState();
+    ui.webrtc.render();
+
+    const files = await recorder.stop();
+    const prefix = `recording-${new Date(recorder.startTime).toISOString().replace(/[:.]/g, "-")}`;
+    for (const { name, blob } of files) {
+      saveDataToFile(blob, blob.type, `${prefix}-${name}`);
+    }
+  }
+
+  stopScreenShare() {
+    if (!this.screenStream) return;
+    log.debug("Stopping screen share");
+
+    for (const peer of this.peers.values()) {
+      try {
+        peer.removeStream(this.screenStream);
+      } catch (err) {
+        log.error("Error removing screen share from peer:", err);
+      }
+    }
+
+    for (const track of this.screenStream.getTracks()) {
+      track.stop();
+    }
+    this.screenStream = null;
+
+    for (const userId of this.peers.keys()) {
+      this.sendScreenShare(userId);
+    }
+
+    ui.webrtc.render();
+  }
+
+  stopSpeakingDetection(userId) {
+    const detector = this.speakingDetectors.get(userId);
+    if (!detector) return;
+
+    this.speakingDetectors.delete(userId);
+    detector.stop();
+  }
+
+  stopWhisper() {
+    const userId = this.whispers.get(game.user.id);
+    if (!userId) return;
+
+    log.debug("Stopped whispering to", userId);
+    clearTimeout(this._whisperTimeout);
+    this.whispers.delete(game.user.id);
+    this.sendWhisper(userId, null);
+    // Go back to what push-to-talk or voice activity asked for during the whisper
+    this.avMaster.broadcast(this.broadcastAfterWhisper);
+    this.updateRoomSenders();
+  }
+
+  /**
+   * Make the peers match the users we should be connected to: close the peers of users that
+   * left or lost their permissions, and connect to users that joined or gained them.
+   * The camera views are rendered once the peers have been updated.
+   */
+  async syncPeers() {
+    const userIds = new Set([...this.peers.keys(), ...this.reconnecting.keys()]);
+    // Recordings and whispers by users that left have ended
+    for (const userId of this.recordingUsers) {
+      const user = game.users.get(userId);
+      if (!user || !user.active) this.recordingUsers.delete(userId);
+    }
+    for (const userId of this.whispers.keys()) {
+      const user = game.users.get(userId);
+      if (!user || !user.active) this.whispers.delete(userId);
+    }
+    for (const [key, report] of this.codecReports) {
+      const user = game.users.get(report.userId);
+      if (!user || !user.active) this.codecReports.delete(key);
+    }
+
+    for (const userId of userIds) {
+      if (!this.shouldConnect(userId)) {
+        log.debug("Closing peer of disconnected user (", userId, ")");
+        this.sendPeerClose(userId);
+        this.cancelReconnect(userId);
+        await this.closePeer(userId);
+      }
+    }
+
+    for (const user of game.users.filter((u) => u.active && !u.isSelf)) {
+      if (this.shouldConnect(user.id) && !this.peers.has(user.id) && !this.reconnecting.has(user.id)) {
+        this.initPeer(user.id);
+      }
+    }
+
+    // The relay may have changed
+    this.updateForwarding();
+    this.render();
+  }
+
+  /**
+   * Modify our session descriptions before they are applied and sent, so the remote side
+   * prefers sending us the preferred video codecs too
+   * @param {string} sdp      The session description
+   * @return {string}         The modified session description
+   */
+  transformLocalSdp(sdp) {
+    return sdpUtils.setCodecOrder(sdp, "video", this.getVideoCodecOrder());
+  }
+
+  /**
+   * Modify the session description received from a remote peer before it is applied.
+   * Opus is sent with the parameters the receiving side asks for, so the selected Opus options
+   * are applied by adding them to the remote description. The preferred video codecs are moved
+   * to the front, as the first codec listed by the remote side is the one we send with.
+   * @param {object} data     The signal data
+   * @return {object}         The signal data to apply
+   */
+  transformRemoteSignal(data) {
+    if (!data.sdp) return data;
+
+    let sdp = sdpUtils.setFmtpParameters(data.sdp, "opus", this.getOpusParameters());
+    sdp = sdpUtils.setCodecOrder(sdp, "video", this.getVideoCodecOrder());
+    return { ...data, sdp };
+  }
+
+  /**
+   * As the relay, make sure every peer is sent the media of all the other users, and stop
+   * forwarding media that has been replaced or when we are no longer the relay.
+   * Each forwarded stream is announced before it is added, so the receiver knows who it is from.
+   */
+  updateForwarding() {
+    const isRelay = this.getRelayUserId() === game.user.id;
+
+    for (const [userId, peer] of this.peers) {
+      const forwarded = this.forwardedStreams.get(userId) || new Map();
+      this.forwardedStreams.set(userId, forwarded);
+
+      for (const [sourceUserId, stream] of forwarded) {
+        if (!isRelay || this.remoteStreams.get(sourceUserId) !== stream) {
+          forwarded.delete(sourceUserId);
+          this.sendRelayStream(userId, sourceUserId, null);
+          try {
+            if (!peer.destroyed) peer.removeStream(stream);
+          } catch (err) {
+            log.warn("Error removing forwarded stream from peer:", err);
+          }
+        }
+      }
+
+      if (!isRelay || peer.destroyed) continue;
+      for (const [sourceUserId, stream] of this.remoteStreams) {
+        if (sourceUserId !== userId && !forwarded.has(sourceUserId)
+          && !this.relayedUsers.has(sourceUserId)) {
+          log.debug("Forwarding stream of", sourceUserId, "to", userId);
+          forwarded.set(sourceUserId, stream);
+          this.sendRelayStream(userId, sourceUserId, stream.id);
+          peer.addStream(stream);
+        }
+      }
+    }
+  }
+
+  /**
+   * Enable or disable the local tracks for the voice mode, the user's permissions and any
+   * moderation by a GM
+   */
+  updateLocalTracks() {
+    const voiceMode = this.settings.get("client", "voice.mode");
+    this.simplePeerAvClient.toggleAudio(
+      voiceMode !== "ptt" && this.avMaster.canUserShareAudio(game.user.id),
+    );
+    this.avMaster.broadcast(voiceMode === "always");
+    this.simplePeerAvClient.toggleVideo(this.avMaster.canUserShareVideo(game.user.id));
+  }
+
+  async updatePeerConfig() {
+    const iceServers = [];
+
+    // Use the public STUN servers that simple-peer provides by default
+    if (game.settings.get(MODULE_NAME, "usePublicStun")) {
+      iceServers.push(...SimplePeer.config.iceServers);
+    }
+
+    // Get the TURN credentials, using temporary ones if a shared secret is configured
+    let turnUsername = game.settings.get(MODULE_NAME, "turnUsername");
+    let turnCredential = game.settings.get(MODULE_NAME, "turnCredential");
+    clearTimeout(this._peerConfigRefresh);
+    const turnCredentials = await this.getTurnCredentials();
+    if (turnCredentials) {
+      ({ username: turnUsername, credential: turnCredential } = turnCredentials);
+
+      // Refresh the credentials before they expire so new peers can still use them
+      this._peerConfigRefresh = setTimeout(
+        this.updatePeerConfig.bind(this),
+        (turnCredentials.ttl * 1000) / 2,
+      );
+    }
+
+    iceServers.push(...helpers.parseIceServers(
+      game.settings.get(MODULE_NAME, "iceServers"),
+      turnUsername,
+      turnCredential,
+    ));
+
+    this.peerConfig = {
+      iceServers,
+      iceTransportPolicy: game.settings.get(MODULE_NAME, "forceRelay") ? "relay" : "all",
+    };
+    log.debug("Peer config:", this.peerConfig);
+  }
+
+  /**
+   * Only send audio, and optionally video, to the users that can hear us given the voice rooms
+   * and whispers. Senders are paused rather than removed, so moving between rooms doesn't need
+   * a renegotiation. As the relay, the same applies to the media forwarded for each user.
+   */
+  async updateRoomSenders() {
+    const relayId = this.getRelayUserId();
+    const roomVideo = game.settings.get(MODULE_NAME, "voiceRoomsVideo");
+    const localTracks = this.localStream ? this.localStream.getTracks() : [];
+
+    for (const [userId, peer] of this.peers) {
+      if (!peer._pc || peer.destroyed) continue;
+      const forwarded = this.forwardedStreams.get(userId) || new Map();
+
+      for (const sender of peer._pc.getSenders()) {
+        if (!sender.track) continue;
+
+        // Find whose media the sender carries; screen shares aren't limited to rooms
+        let ownerId = localTracks.includes(sender.track) ? game.user.id : null;
+        for (const [sourceUserId, stream] of forwarded) {
+          if (stream.getTracks().includes(sender.track)) ownerId = sourceUserId;
+        }
+        if (!ownerId) continue;
+
+        // The relay needs everyone's media to forward it to the users in the right rooms
+        let active = true;
+        if (userId !== relayId) {
+          active = sender.track.kind === "audio"
+            ? this.canHearUser(ownerId, userId)
+            : !roomVideo || voiceRooms.canHear(ownerId, userId);
+        }
+
+        await this.updateSenderEncodings(sender, { active });
+      }
+    }
+  }
+
+  /**
+   * Change the encodings of a sender. Voice rooms and video quality both change the encodings of
+   * the same senders, so their changes are merged and applied one at a time: a sender rejects
+   * new parameters while it is still applying others.
+   * @param {RTCRtpSender} sender   The sender
+   * @param {object} changes        The encoding values to change, null to remove a value (e.g.
+   *   `{active: false}` or `{maxBitrate: null}`)
+   * @return {Promise}              Resolves once the merged encodings are applied
+   */
+  updateSenderEncodings(sender, changes) {
+    const state = this._senderEncodings.get(sender) || { encoding: {}, update: Promise.resolve() };
+    this._senderEncodings.set(sender, state);
+    Object.assign(state.encoding, changes);
+
+    // Each update applies all the values wanted so far, so updates queued behind it do nothing
+    state.update = state.update.then(async () => {
+      // Senders only have encodings once negotiated; the values are applied on the next update
+      const parameters = sender.getParameters();
+      if (!parameters.encodings || parameters.encodings.length === 0) return;
+
+      let changed = false;
+      for (const encoding of parameters.encodings) {
+        for (const [key, value] of Object.entries(state.encoding)) {
+          if (value === null ? key in encoding : encoding[key] !== value) {
+            changed = true;
+            if (value === null) {
+              delete encoding[key];
+            } else {
+              encoding[key] = value;
+            }
+          }
+        }
+      }
+      if (changed) await sender.setParameters(parameters);
+    }).catch((err) => log.warn("Unable to update sender encodings:", err));
+
+    return state.update;
+  }
+
+  /**
+   * Update how each remote user is heard based on the position of their token
+   */
+  updateSpatialAudio() {
+    for (const userId of this.remoteStreams.keys()) {
+      this.applyUserAudioSettings(userId);
+    }
+  }
+
+  /**
+   * Apply the maximum bitrate and resolution scaling to the video we send to each peer.
+   * With automatic quality enabled, the resolution is scaled down as the number of peers grows
+   * and the quality sent to each peer is lowered while that peer reports heavy packet loss.
+   * Runs are chained, so each one starts from the levels and parameters the previous one left.
+   * @param {boolean} [adjustQuality]   Step the quality levels from the packet loss; only done
+   *   on the regular interval, so each step follows an interval of stats
+   * @return {Promise}
+   */
+  updateVideoEncodings(adjustQuality = false) {
+    // Skip a tick while the previous one hasn't finished, so levels don't step twice in a row
+    if (adjustQuality) {
+      if (this._adjustingVideoQuality) return this._videoEncodingUpdate;
+      this._adjustingVideoQuality = true;
+    }
+
+    this._videoEncodingUpdate = this._videoEncodingUpdate.then(async () => {
+      const videoTrack = this.localStream ? this.localStream.getVideoTracks()[0] : null;
+      if (!videoTrack) return;
+
+      const maxBitrate = game.settings.get(MODULE_NAME, "maxVideoBitrate");
+      const autoQuality = game.settings.get(MODULE_NAME, "autoVideoQuality");
+      const { scaleResolutionDownBy } = VIDEO_PEER_SCALING
+        .find((s) => this.peers.size <= s.maxPeers);
+
+      for (const [userId, peer] of this.peers) {
+        if (!peer._pc || peer.destroyed) continue;
+
+        const sender = peer._pc.getSenders().find((s) => s.track === videoTrack);
+        if (!sender) continue;
+
+        let bitrate = maxBitrate > 0 ? maxBitrate : null;
+        let scale = 1;
+        if (autoQuality) {
+          let level = this.videoQualityLevels.get(userId) || 0;
+          if (adjustQuality) {
+            try {
+              const summary = summarizeStats(await peer._pc.getStats());
+              const videoStats = summary.outbound.find((s) => s.kind === "video");
+              if (videoStats && videoStats.packetLoss > VIDEO_DEGRADE_PACKET_LOSS) {
+                level = Math.min(level + 1, MAX_VIDEO_QUALITY_LEVEL);
+              } else if (videoStats && videoStats.packetLoss < VIDEO_RESTORE_PACKET_LOSS) {
+                level = Math.max(level - 1, 0);
+              }
+            } catch (err) {
+              log.warn("Unable to get stats for video quality (", userId, "):", err);
+            }
+            this.videoQualityLevels.set(userId, level);
+          }
+
+          if (level > 0) {
+            bitrate = Math.round((bitrate || DEFAULT_VIDEO_BITRATE) / 2 ** level);
+          }
+          scale = scaleResolutionDownBy * (1 + level / 2);
+        }
+
+        await this.updateSenderEncodings(sender, {
+          maxBitrate: bitrate ? bitrate * 1000 : null,
+          scaleResolutionDownBy: scale,
+        });
+      }
+    }).catch((err) => log.warn("Unable to update video encodings:", err)).finally(() => {
+      if (adjustQuality) this._adjustingVideoQuality = false;
+    });
+
+    return this._videoEncodingUpdate;
   }
 }
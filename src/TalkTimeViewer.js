@@ -0,0 +1,109 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+
+// How often the talk times are refreshed while the window is open
+const TALK_TIME_INTERVAL = 1000;
+
+/**
+ * Format a duration as [h:]mm:ss
+ * @param {number} ms           The duration in milliseconds
+ * @return {string}
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
+  const rest = String(seconds % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * A window showing how long each user has spoken for during the session, so the GM can notice
+ * players that aren't getting much time in the spotlight
+ * @extends {Application}
+ * @param {SimplePeerClient} simplePeerClient   The client counting the talk time
+ */
+export default class TalkTimeViewer extends Application {
+  constructor(simplePeerClient, options = {}) {
+    super(options);
+
+    this.simplePeerClient = simplePeerClient;
+    this._talkTimeInterval = null;
+  }
+
+  /* -------------------------------------------- */
+
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: "simplepeer-talk-time",
+      classes: ["simplepeer-talk-time"],
+      title: game.i18n.localize(`${LANG_NAME}.talkTime`),
+      template: `modules/${MODULE_NAME}/templates/talk-time.html`,
+      width: 360,
+      height: "auto",
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  getData() {
+    const talkTimes = this.simplePeerClient.getTalkTimes();
+    const total = Array.from(talkTimes.values()).reduce((sum, time) => sum + time, 0);
+
+    // Include active users that haven't spoken, they are the ones to look out for
+    const users = game.users.filter((u) => u.active || talkTimes.has(u.id)).map((user) => {
+      const time = talkTimes.get(user.id) || 0;
+      return {
+        name: user.name,
+        color: user.color,
+        time,
+        duration: formatDuration(time),
+        percent: total > 0 ? Math.round((time / total) * 100) : 0,
+      };
+    });
+    users.sort((a, b) => b.time - a.time);
+
+    return { users, total: formatDuration(total) };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action=reset]").click(this._onReset.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _render(force = false, options = {}) {
+    await super._render(force, options);
+
+    if (!this._talkTimeInterval) {
+      this._talkTimeInterval = setInterval(() => {
+        if (this.rendered) this.render();
+      }, TALK_TIME_INTERVAL);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async close(options) {
+    clearInterval(this._talkTimeInterval);
+    this._talkTimeInterval = null;
+
+    return super.close(options);
+  }
+
+  /* -------------------------------------------- */
+
+  _onReset(event) {
+    event.preventDefault();
+
+    this.simplePeerClient.resetTalkTime();
+    this.render();
+  }
+}
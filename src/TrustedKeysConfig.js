@@ -0,0 +1,44 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+import { getLocalKeyFingerprint } from "./utils/identity.js";
+
+/**
+ * A form showing the fingerprint of the local user's signaling key and the keys trusted for
+ * other users, so they can be compared out of band and forgotten if a user changes computer.
+ * @extends {FormApplication}
+ */
+export default class TrustedKeysConfig extends FormApplication {
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: "simplepeer-trusted-keys",
+      title: game.i18n.localize(`${LANG_NAME}.trustedKeys`),
+      template: `modules/${MODULE_NAME}/templates/trusted-keys.html`,
+      width: 480,
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async getData() {
+    const trustedKeys = game.settings.get(MODULE_NAME, "trustedKeys");
+
+    return {
+      fingerprint: await getLocalKeyFingerprint(),
+      keys: Object.entries(trustedKeys).map(([userId, fingerprint]) => {
+        const user = game.users.get(userId);
+        return { userId, userName: user ? user.name : userId, fingerprint };
+      }),
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    const trustedKeys = duplicate(game.settings.get(MODULE_NAME, "trustedKeys"));
+    for (const [userId, forget] of Object.entries(formData)) {
+      if (forget) delete trustedKeys[userId];
+    }
+    await game.settings.set(MODULE_NAME, "trustedKeys", trustedKeys);
+  }
+}
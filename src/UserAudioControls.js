@@ -0,0 +1,52 @@
+import { LANG_NAME } from "./utils/constants.js";
+
+// Highest volume a remote user can be boosted to
+const MAX_USER_VOLUME = 2;
+
+/**
+ * Lets users set the volume of each remote user, above 100% if needed, and mute them just for
+ * themselves from their camera views.
+ * @param {SimplePeerClient} simplePeerClient   The client playing the remote users' audio
+ */
+export default class UserAudioControls {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Replace the volume sliders of remote users with ones that allow boosting above 100%, and add
+   * the local mute controls
+   * @param {CameraViews} cameraViews
+   * @param {jQuery} html
+   */
+  onRenderCameraViews(cameraViews, html) {
+    const client = this.simplePeerClient;
+
+    for (const userId of client.remoteStreams.keys()) {
+      const cameraView = html.find(`.camera-view[data-user="${userId}"]`);
+      const { volume, muted } = client.getUserAudioSettings(userId);
+
+      cameraView.find(".webrtc-volume-slider").hide();
+      const volumeSlider = $(`<input class="simplepeer-volume-slider" type="range"
+        min="0" max="${MAX_USER_VOLUME}" step="0.05" value="${volume}"
+        title="${game.i18n.localize(`${LANG_NAME}.userVolume`)}"/>`);
+      volumeSlider.on("input", (event) => client.applyUserAudioSettings(userId, {
+        volume: Number(event.target.value),
+      }));
+      volumeSlider.on("change", (event) => client.setUserAudioSettings(userId, {
+        volume: Number(event.target.value),
+      }));
+      cameraView.append(volumeSlider);
+
+      const muteControl = $(`<a class="av-control toggle simplepeer-local-mute"
+        title="${game.i18n.localize(`${LANG_NAME}.${muted ? "localUnmute" : "localMute"}`)}">
+        <i class="fas ${muted ? "fa-volume-mute" : "fa-volume-up"}"></i>
+      </a>`);
+      muteControl.toggleClass("active", muted);
+      muteControl.on("click", () => client.setUserAudioSettings(userId, { muted: !muted }));
+      cameraView.find(".control-bar").first().append(muteControl);
+    }
+  }
+}
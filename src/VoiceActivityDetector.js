@@ -0,0 +1,122 @@
+import * as log from "./utils/logging.js";
+
+/**
+ * Monitors the audio level of a MediaStream with Web Audio and reports when the level crosses
+ * the speaking threshold.
+ * By default the audio tracks are cloned so the analysis keeps working while the original tracks
+ * are disabled (e.g. when not broadcasting).
+ * @param {MediaStream} stream                  The stream to monitor
+ * @param {object} options
+ * @param {function} options.getThreshold       Returns the current activity threshold in dB
+ * @param {function} options.getHangTime        Returns how long (ms) speech is still reported
+ *                                                after the level drops below the threshold
+ * @param {function} options.onSpeakingChange   Called with a boolean when speaking starts or stops
+ * @param {number} [options.interval=50]        How often (ms) the audio level is sampled
+ * @param {boolean} [options.cloneTracks=true]  Analyse clones of the tracks rather than the
+ *                                                tracks themselves
+ */
+export default class VoiceActivityDetector {
+  constructor(stream, {
+    getThreshold,
+    getHangTime,
+    onSpeakingChange,
+    interval = 50,
+    cloneTracks = true,
+  }) {
+    this.stream = cloneTracks
+      ? new MediaStream(stream.getAudioTracks().map((t) => t.clone()))
+      : new MediaStream(stream.getAudioTracks());
+    this.cloneTracks = cloneTracks;
+    this.getThreshold = getThreshold;
+    this.getHangTime = getHangTime;
+    this.onSpeakingChange = onSpeakingChange;
+    this.interval = interval;
+
+    this.speaking = false;
+    this._audioContext = null;
+    this._analyser = null;
+    this._samples = null;
+    this._lastSpoke = 0;
+    this._levelInterval = null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The current audio level of the stream in dB
+   * @return {number}
+   */
+  get level() {
+    if (!this._analyser) return -Infinity;
+
+    this._analyser.getFloatTimeDomainData(this._samples);
+    let sum = 0;
+    for (let i = 0; i < this._samples.length; i += 1) {
+      sum += this._samples[i] * this._samples[i];
+    }
+    return 20 * Math.log10(Math.sqrt(sum / this._samples.length));
+  }
+
+  /* -------------------------------------------- */
+
+  start() {
+    if (this._levelInterval) return;
+
+    if (this.stream.getAudioTracks().length === 0) {
+      log.warn("No audio tracks available for voice activity detection");
+      return;
+    }
+
+    this._audioContext = new AudioContext();
+    this._analyser = this._audioContext.createAnalyser();
+    this._analyser.fftSize = 512;
+    this._samples = new Float32Array(this._analyser.fftSize);
+    this._audioContext.createMediaStreamSource(this.stream).connect(this._analyser);
+
+    this._levelInterval = setInterval(this._onLevelInterval.bind(this), this.interval);
+  }
+
+  /* -------------------------------------------- */
+
+  stop() {
+    clearInterval(this._levelInterval);
+    this._levelInterval = null;
+
+    if (this._audioContext) {
+      this._audioContext.close();
+      this._audioContext = null;
+      this._analyser = null;
+    }
+
+    // Only stop our own clones, the original tracks are still in use
+    if (this.cloneTracks) {
+      for (const track of this.stream.getTracks()) {
+        track.stop();
+      }
+    }
+
+    this._setSpeaking(false);
+  }
+
+  /* -------------------------------------------- */
+
+  _onLevelInterval() {
+    const now = Date.now();
+
+    if (this.level > this.getThreshold()) {
+      this._lastSpoke = now;
+      this._setSpeaking(true);
+    } else if (now - this._lastSpoke > this.getHangTime()) {
+      this._setSpeaking(false);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  _setSpeaking(speaking) {
+    if (this.speaking === speaking) return;
+
+    this.speaking = speaking;
+    this.onSpeakingChange(speaking);
+  }
+}
@@ -0,0 +1,86 @@
+import { LANG_NAME } from "./utils/constants.js";
+import * as voiceRooms from "./utils/voiceRooms.js";
+
+import VoiceRoomsConfig from "./VoiceRoomsConfig.js";
+
+/**
+ * Shows the voice room of each user in the camera views, gives GMs the control to set the rooms
+ * up, and lets users hold a control to whisper to someone.
+ * @param {SimplePeerClient} simplePeerClient   The client sending and receiving the whispers
+ */
+export default class VoiceRoomControls {
+  constructor(simplePeerClient) {
+    this.simplePeerClient = simplePeerClient;
+    this.config = null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add the voice room names, the voice rooms control and the whisper controls to the camera
+   * views
+   * @param {CameraViews} cameraViews
+   * @param {jQuery} html
+   */
+  onRenderCameraViews(cameraViews, html) {
+    const client = this.simplePeerClient;
+
+    // Show the voice room of each user, once the GM has set rooms up
+    const { rooms } = voiceRooms.getVoiceRooms();
+    if (rooms.length > 0) {
+      for (const cameraView of html.find(".camera-view").toArray()) {
+        const room = rooms.find((r) => r.id === voiceRooms.getUserRoom(cameraView.dataset.user));
+        const name = room ? room.name : game.i18n.localize(`${LANG_NAME}.voiceRoomsMain`);
+        $(cameraView).append($('<div class="simplepeer-voice-room-name"></div>').text(name));
+      }
+    }
+
+    // Add the voice rooms control to the GM's camera view
+    if (game.user.isGM) {
+      const roomsControl = $(`<a class="av-control simplepeer-voice-rooms-control"
+        title="${game.i18n.localize(`${LANG_NAME}.voiceRooms`)}">
+        <i class="fas fa-door-open"></i>
+      </a>`);
+      roomsControl.on("click", () => this.openConfig());
+      html.find(`.camera-view[data-user="${game.user.id}"] .control-bar`).first().append(roomsControl);
+    }
+
+    for (const userId of client.remoteStreams.keys()) {
+      const cameraView = html.find(`.camera-view[data-user="${userId}"]`);
+
+      // Hold to whisper to the user
+      if (client.avMaster.canUserShareAudio(game.user.id)) {
+        const whisperControl = $(`<a class="av-control toggle simplepeer-whisper-control"
+          title="${game.i18n.localize(`${LANG_NAME}.whisper`)}">
+          <i class="fas fa-user-secret"></i>
+        </a>`);
+        whisperControl.toggleClass("active", client.whispers.get(game.user.id) === userId);
+        whisperControl.on("pointerdown", (event) => {
+          event.preventDefault();
+          whisperControl.addClass("active");
+          client.startWhisper(userId);
+          document.addEventListener("pointerup", () => {
+            whisperControl.removeClass("active");
+            client.stopWhisper();
+          }, { once: true });
+        });
+        cameraView.find(".control-bar").first().append(whisperControl);
+      }
+
+      if (client.whispers.get(userId) === game.user.id) {
+        cameraView.append(`<div class="simplepeer-whisper">
+          <i class="fas fa-user-secret"></i> ${game.i18n.localize(`${LANG_NAME}.whisperingToYou`)}
+        </div>`);
+      }
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  openConfig() {
+    if (!this.config) {
+      this.config = new VoiceRoomsConfig();
+    }
+    this.config.render(true);
+  }
+}
@@ -0,0 +1,171 @@
+import { LANG_NAME, MODULE_NAME } from "./utils/constants.js";
+import * as voiceRooms from "./utils/voiceRooms.js";
+
+/**
+ * A form for the GM to define voice rooms and drag users between them.
+ * Users only hear the other users in their room; the GM can listen in on other rooms.
+ * @extends {FormApplication}
+ */
+export default class VoiceRoomsConfig extends FormApplication {
+  static get defaultOptions() {
+    return mergeObject(super.defaultOptions, {
+      id: "simplepeer-voice-rooms",
+      classes: ["simplepeer-voice-rooms"],
+      title: game.i18n.localize(`${LANG_NAME}.voiceRooms`),
+      template: `modules/${MODULE_NAME}/templates/voice-rooms.html`,
+      width: 480,
+      height: "auto",
+      submitOnChange: true,
+      closeOnSubmit: false,
+      dragDrop: [{ dragSelector: ".simplepeer-voice-room-user", dropSelector: ".simplepeer-voice-room" }],
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  getData() {
+    const { rooms, members, listening } = voiceRooms.getVoiceRooms();
+    const users = game.users.filter((u) => u.active || members[u.id]);
+    const getRoomUsers = (roomId) => users
+      .filter((u) => voiceRooms.getUserRoom(u.id) === roomId)
+      .map((u) => ({ id: u.id, name: u.name, color: u.color }));
+
+    const listenChoices = {
+      "": game.i18n.localize(`${LANG_NAME}.voiceRoomsListenNone`),
+      [voiceRooms.ALL_ROOMS]: game.i18n.localize(`${LANG_NAME}.voiceRoomsListenAll`),
+      [voiceRooms.MAIN_ROOM]: game.i18n.localize(`${LANG_NAME}.voiceRoomsMain`),
+    };
+    for (const room of rooms) {
+      listenChoices[room.id] = room.name;
+    }
+
+    return {
+      rooms: [
+        {
+          id: voiceRooms.MAIN_ROOM,
+          name: game.i18n.localize(`${LANG_NAME}.voiceRoomsMain`),
+          main: true,
+          users: getRoomUsers(voiceRooms.MAIN_ROOM),
+        },
+        ...rooms.map((r) => ({ id: r.id, name: r.name, users: getRoomUsers(r.id) })),
+      ],
+      listenChoices,
+      listening: listening[game.user.id] || "",
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action=add-room]").click(this._onAddRoom.bind(this));
+    html.find("[data-action=delete-room]").click(this._onDeleteRoom.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _canDragStart() {
+    return game.user.isGM;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _canDragDrop() {
+    return game.user.isGM;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  _onDragStart(event) {
+    event.dataTransfer.setData("text/plain", JSON.stringify({
+      userId: event.currentTarget.dataset.userId,
+    }));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _onDrop(event) {
+    let data;
+    try {
+      data = JSON.parse(event.dataTransfer.getData("text/plain"));
+    } catch (err) {
+      return;
+    }
+
+    const room = event.target.closest(".simplepeer-voice-room");
+    if (!data.userId || !room) return;
+
+    const rooms = duplicate(voiceRooms.getVoiceRooms());
+    if (room.dataset.roomId === voiceRooms.MAIN_ROOM) {
+      delete rooms.members[data.userId];
+    } else {
+      rooms.members[data.userId] = room.dataset.roomId;
+    }
+    await this._saveRooms(rooms);
+  }
+
+  /* -------------------------------------------- */
+
+  async _onAddRoom(event) {
+    event.preventDefault();
+
+    const rooms = duplicate(voiceRooms.getVoiceRooms());
+    rooms.rooms.push({
+      id: randomID(),
+      name: game.i18n.format(`${LANG_NAME}.voiceRoomsNew`, { number: rooms.rooms.length + 1 }),
+    });
+    await this._saveRooms(rooms);
+  }
+
+  /* -------------------------------------------- */
+
+  async _onDeleteRoom(event) {
+    event.preventDefault();
+
+    const { roomId } = event.currentTarget.closest(".simplepeer-voice-room").dataset;
+    const rooms = duplicate(voiceRooms.getVoiceRooms());
+    rooms.rooms = rooms.rooms.filter((r) => r.id !== roomId);
+
+    // Move the users of the room back to the main room
+    for (const [userId, memberRoomId] of Object.entries(rooms.members)) {
+      if (memberRoomId === roomId) delete rooms.members[userId];
+    }
+    for (const [userId, listeningRoomId] of Object.entries(rooms.listening)) {
+      if (listeningRoomId === roomId) delete rooms.listening[userId];
+    }
+    await this._saveRooms(rooms);
+  }
+
+  /* -------------------------------------------- */
+
+  async _saveRooms(rooms) {
+    await game.settings.set(MODULE_NAME, "voiceRooms", rooms);
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @override */
+  async _updateObject(event, formData) {
+    const data = expandObject(formData);
+    const rooms = duplicate(voiceRooms.getVoiceRooms());
+
+    for (const room of rooms.rooms) {
+      if (data.rooms && data.rooms[room.id]) room.name = data.rooms[room.id];
+    }
+    if (data.listening) {
+      rooms.listening[game.user.id] = data.listening;
+    } else {
+      delete rooms.listening[game.user.id];
+    }
+
+    await game.settings.set(MODULE_NAME, "voiceRooms", rooms);
+  }
+}
@@ -0,0 +1,79 @@
+import { RESERVED_CHANNEL_PREFIX } from "./utils/constants.js";
+
+/* -------------------------------------------- */
+/*  Public API                                  */
+/* -------------------------------------------- */
+
+/**
+ * Get the data channel messenger of the active client
+ * @return {DataChannelMessenger}
+ */
+function getMessenger() {
+  if (!game.webrtc || !game.webrtc.client || !game.webrtc.client._simplePeerClient) {
+    throw new Error("The simple-peer AVClient is not active");
+  }
+
+  return game.webrtc.client._simplePeerClient.messenger;
+}
+
+/**
+ * Make sure a channel isn't one of the channels the module uses for its own messages
+ * @param {string} channel    The channel name
+ */
+function checkChannel(channel) {
+  if (typeof channel !== "string" || channel.startsWith(RESERVED_CHANNEL_PREFIX)) {
+    throw new Error(`Channels starting with "${RESERVED_CHANNEL_PREFIX}" are reserved`);
+  }
+}
+
+/**
+ * Send a message to one user over the peer data channel
+ * @param {string} userId     The User ID to send to
+ * @param {string} channel    The channel name, used by the receiver to identify the message
+ * @param {*} data            JSON serializable data, an ArrayBuffer, a typed array or a Blob
+ * @return {Promise<boolean>}   Was the message sent? False if the user isn't connected
+ */
+export function send(userId, channel, data) {
+  checkChannel(channel);
+  return getMessenger().send(userId, channel, data);
+}
+
+/**
+ * Send a message to every connected user over the peer data channels
+ * @param {string} channel    The channel name, used by the receiver to identify the message
+ * @param {*} data            JSON serializable data, an ArrayBuffer, a typed array or a Blob
+ * @return {Promise<string[]>}  The User IDs the message was sent to
+ */
+export function broadcast(channel, data) {
+  checkChannel(channel);
+  return getMessenger().broadcast(channel, data);
+}
+
+/**
+ * Get the users that messages can currently be sent to
+ * @return {string[]}         The connected User IDs
+ */
+export function getConnectedUsers() {
+  const { peers } = getMessenger().simplePeerClient;
+  return Array.from(peers.keys()).filter((userId) => peers.get(userId).connected);
+}
+
+/**
+ * Offer a file to users over the peer data channels, e.g. a handout image.
+ * Each user is asked to accept or decline the file.
+ * @param {File|Blob} file        The file to send
+ * @param {string[]} [userIds]    The User IDs to send to; all connected users if omitted
+ * @return {Promise<string[]>}    The User IDs the file was offered to
+ */
+export function sendFile(file, userIds = getConnectedUsers()) {
+  return getMessenger().simplePeerClient.fileTransfers.sendFile(file, userIds);
+}
+
+/**
+ * Add a chapter marker to the recording in progress, e.g. when a scene changes.
+ * Does nothing when the call isn't being recorded by the local user.
+ * @param {string} label      The marker label
+ */
+export function addRecordingMarker(label) {
+  getMessenger().simplePeerClient.addRecordingMarker(label);
+}
@@ -1,3 +1,10 @@
 export const MODULE_NAME = "avclient-simplepeer";
 export const LANG_NAME = "SIMPLEPEER";
 export const LOG_PREFIX = "SimplePeerAVClient |";
+
+// Lifetime (s) of generated TURN credentials; they are refreshed after half of it, which must
+// stay within the longest delay setTimeout supports
+export const TURN_CREDENTIAL_TTL_RANGE = { min: 3600, max: 604800 };
+
+// Data channel names starting with this are reserved for the module's own messages
+export const RESERVED_CHANNEL_PREFIX = "simplepeer.";
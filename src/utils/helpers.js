@@ -24,6 +24,29 @@ export function deviceInfoToObject(list, kind) {
   return obj;
 }
 
+/**
+ * Escape text so it can be inserted into HTML as text
+ * @param {string} text
+ * @return {string}
+ */
+export function escapeHtml(text) {
+  const entities = {
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  };
+  return String(text).replace(/[&<>"']/g, (c) => entities[c]);
+}
+
+/**
+ * Format a file size for display
+ * @param {number} bytes    The size in bytes
+ * @return {string}
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Dynamically load additional script files, returning when loaded
  * @param scriptSrc    The location of the script file
@@ -54,6 +77,54 @@ export async function loadScript(scriptSrc) {
   });
 }
 
+/**
+ * Parse a comma or whitespace separated list of STUN/TURN URLs into RTCIceServer entries
+ * @param {string} serverList   The list of server URLs
+ * @param {string} username     The username to use for TURN servers
+ * @param {string} credential   The credential to use for TURN servers
+ * @return {RTCIceServer[]}
+ */
+export function parseIceServers(serverList, username, credential) {
+  const iceServers = [];
+  for (const url of serverList.split(/[\s,]+/)) {
+    if (url.startsWith("stun:")) {
+      iceServers.push({ urls: url });
+    } else if (url.startsWith("turn:") || url.startsWith("turns:")) {
+      iceServers.push({ urls: url, username, credential });
+    } else if (url) {
+      log.warn("Ignoring invalid ICE server URL:", url);
+    }
+  }
+
+  return iceServers;
+}
+
+/**
+ * Generate time-limited TURN credentials from a shared secret, as described by the
+ * TURN REST API draft (draft-uberti-behave-turn-rest) and used by coturn's use-auth-secret
+ * @param {string} secret     The secret shared with the TURN server
+ * @param {number} ttl        How long the credentials should be valid for, in seconds
+ * @param {string} userId     The user the credentials are generated for
+ * @return {Promise<{username: string, credential: string}>}
+ */
+export async function getTurnRestCredentials(secret, ttl, userId) {
+  const expiry = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiry}:${userId}`;
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(username));
+  const credential = btoa(String.fromCharCode(...new Uint8Array(signature)));
+
+  return { username, credential };
+}
+
 export function registerModuleSetting(settingsObject) {
   game.settings.register(MODULE_NAME, settingsObject.name, {
     name: `${LANG_NAME}.${settingsObject.name}`,
@@ -62,6 +133,7 @@ export function registerModuleSetting(settingsObject) {
     config: settingsObject.config,
     default: settingsObject.default,
     type: settingsObject.type,
+    choices: settingsObject.choices,
     range: settingsObject.range,
     onChange: settingsObject.onChange,
   });
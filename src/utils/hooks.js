@@ -1,19 +1,62 @@
-import { MODULE_NAME } from "./constants.js";
-import registerModuleSettings from "./registerModuleSettings.js";
+import { LANG_NAME, MODULE_NAME } from "./constants.js";
+import registerModuleSettings, { updateRelayUserChoices } from "./registerModuleSettings.js";
+import * as api from "../api.js";
 
 /* -------------------------------------------- */
 /*  Hook calls                                  */
 /* -------------------------------------------- */
 
 Hooks.on("init", () => {
-  // Override voice modes
-  AVSettings.VOICE_MODES = {
-    ALWAYS: "always",
-    PTT: "ptt",
-  };
-
   // Register module settings
   registerModuleSettings();
+
+  // Expose the API for other modules
+  game.modules.get(MODULE_NAME).api = api;
+});
+
+Hooks.on("ready", updateRelayUserChoices);
+Hooks.on("createUser", updateRelayUserChoices);
+Hooks.on("updateUser", updateRelayUserChoices);
+Hooks.on("deleteUser", updateRelayUserChoices);
+
+Hooks.on("renderSceneConfig", (sceneConfig, html) => {
+  // Add the spatial audio toggle to the scene configuration
+  const spatialAudio = $(`<div class="form-group">
+    <label>${game.i18n.localize(`${LANG_NAME}.sceneSpatialAudio`)}</label>
+    <input type="checkbox" name="flags.${MODULE_NAME}.spatialAudio"
+      ${sceneConfig.object.getFlag(MODULE_NAME, "spatialAudio") ? "checked" : ""}/>
+    <p class="notes">${game.i18n.localize(`${LANG_NAME}.sceneSpatialAudioHint`)}</p>
+  </div>`);
+
+  const playlistGroup = html.find("select[name=playlist]").closest(".form-group");
+  if (playlistGroup.length > 0) {
+    playlistGroup.after(spatialAudio);
+  } else {
+    html.find(".tab[data-tab=basic]").append(spatialAudio);
+  }
+  sceneConfig.setPosition({ height: "auto" });
+});
+
+Hooks.on("renderAVConfig", (avConfig, html) => {
+  const client = game.webrtc && game.webrtc.client && game.webrtc.client._simplePeerClient;
+  if (!client) return;
+
+  // Add the self-test to the audio/video configuration
+  const selfTest = $(`<div class="form-group">
+    <button type="button" class="simplepeer-self-test-open">
+      <i class="fas fa-stethoscope"></i> ${game.i18n.localize(`${LANG_NAME}.selfTestOpen`)}
+    </button>
+    <p class="notes">${game.i18n.localize(`${LANG_NAME}.selfTestHint`)}</p>
+  </div>`);
+  selfTest.find("button").on("click", () => client.openSelfTest());
+
+  const devicesTab = html.find(".tab[data-tab=devices]");
+  if (devicesTab.length > 0) {
+    devicesTab.append(selfTest);
+  } else {
+    html.find("button[type=submit]").before(selfTest);
+  }
+  avConfig.setPosition({ height: "auto" });
 });
 
 Hooks.on(`${MODULE_NAME}DebugSet`, (value) => {
@@ -0,0 +1,153 @@
+import { LANG_NAME, MODULE_NAME } from "./constants.js";
+import * as log from "./logging.js";
+import { getDtlsFingerprints } from "./sdp.js";
+
+/* -------------------------------------------- */
+/*  Signaling Identity                          */
+/* -------------------------------------------- */
+
+const KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const SIGNATURE_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+
+const textEncoder = new TextEncoder();
+
+// The signing key of the local user, loaded on first use
+let signingKey = null;
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (string) => Uint8Array.from(atob(string), (c) => c.charCodeAt(0));
+
+/**
+ * The content that is signed for a session description: the session ID and the DTLS
+ * fingerprints, which identify the certificates used to encrypt the media.
+ * @param {string} sdp          The session description
+ * @param {string} sessionId    The peer session ID
+ * @return {Uint8Array}
+ */
+function getSignedContent(sdp, sessionId) {
+  return textEncoder.encode(`${sessionId}|${getDtlsFingerprints(sdp).join(",")}`);
+}
+
+/**
+ * Load the local user's signing key, generating and storing a new one if needed
+ * @return {Promise<{privateKey: CryptoKey, publicKey: object}>}
+ */
+async function getSigningKey() {
+  if (signingKey) return signingKey;
+
+  let { privateKey, publicKey } = game.settings.get(MODULE_NAME, "signingKey");
+  if (!privateKey || !publicKey) {
+    log.info("Generating signaling key");
+    const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ["sign", "verify"]);
+    privateKey = await crypto.subtle.exportKey("jwk", keyPair.privateKey);
+    publicKey = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
+    await game.settings.set(MODULE_NAME, "signingKey", { privateKey, publicKey });
+  }
+
+  signingKey = {
+    privateKey: await crypto.subtle.importKey("jwk", privateKey, KEY_ALGORITHM, false, ["sign"]),
+    publicKey,
+  };
+  return signingKey;
+}
+
+/**
+ * Get a short, human readable fingerprint of a public key, to compare out of band
+ * @param {object} publicKey    The public key in JWK format
+ * @return {Promise<string>}
+ */
+export async function getKeyFingerprint(publicKey) {
+  const {
+    crv,
+    kty,
+    x,
+    y,
+  } = publicKey;
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    textEncoder.encode(JSON.stringify({
+      crv,
+      kty,
+      x,
+      y,
+    })),
+  );
+
+  const hex = Array.from(new Uint8Array(digest).slice(0, 16))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return hex.match(/.{4}/g).join(" ").toUpperCase();
+}
+
+/**
+ * Get the fingerprint of the local user's public key
+ * @return {Promise<string>}
+ */
+export async function getLocalKeyFingerprint() {
+  const { publicKey } = await getSigningKey();
+  return getKeyFingerprint(publicKey);
+}
+
+/**
+ * Sign the DTLS fingerprints of a local session description
+ * @param {string} sdp          The session description
+ * @param {string} sessionId    The peer session ID
+ * @return {Promise<{publicKey: object, signature: string}>}  The identity to send with the signal
+ */
+export async function signDescription(sdp, sessionId) {
+  const { privateKey, publicKey } = await getSigningKey();
+  const signature = await crypto.subtle.sign(
+    SIGNATURE_ALGORITHM,
+    privateKey,
+    getSignedContent(sdp, sessionId),
+  );
+
+  return { publicKey, signature: toBase64(signature) };
+}
+
+/**
+ * Verify the DTLS fingerprints of a remote session description were signed by the key trusted
+ * for that user. The first key seen for a user is trusted; users should compare the key
+ * fingerprints out of band to make sure it is genuine.
+ * @param {string} userId       The User ID that sent the description
+ * @param {string} sdp          The session description
+ * @param {string} sessionId    The peer session ID
+ * @param {object} identity     The identity sent with the signal
+ * @return {Promise<boolean>}   Is the description genuine?
+ */
+export async function verifyDescription(userId, sdp, sessionId, identity) {
+  const user = game.users.get(userId);
+  if (!identity || typeof identity.signature !== "string" || typeof identity.publicKey !== "object") {
+    log.warn("Rejecting unsigned session description from", userId);
+    return false;
+  }
+
+  let valid = false;
+  try {
+    const fingerprint = await getKeyFingerprint(identity.publicKey);
+    const trustedKeys = game.settings.get(MODULE_NAME, "trustedKeys");
+    if (!trustedKeys[userId]) {
+      await game.settings.set(MODULE_NAME, "trustedKeys", { ...trustedKeys, [userId]: fingerprint });
+      ui.notifications.info(game.i18n.format(`${LANG_NAME}.keyTrusted`, { user: user.name, fingerprint }));
+    } else if (trustedKeys[userId] !== fingerprint) {
+      ui.notifications.error(
+        game.i18n.format(`${LANG_NAME}.keyMismatch`, { user: user.name }),
+        { permanent: true },
+      );
+      return false;
+    }
+
+    const publicKey = await crypto.subtle.importKey("jwk", identity.publicKey, KEY_ALGORITHM, false, ["verify"]);
+    valid = await crypto.subtle.verify(
+      SIGNATURE_ALGORITHM,
+      publicKey,
+      fromBase64(identity.signature),
+      getSignedContent(sdp, sessionId),
+    );
+  } catch (err) {
+    log.warn("Error verifying session description from", userId, ":", err);
+  }
+
+  if (!valid) log.warn("Rejecting session description with an invalid signature from", userId);
+  return valid;
+}
@@ -0,0 +1,110 @@
+import { MODULE_NAME } from "./constants.js";
+
+/* -------------------------------------------- */
+/*  Moderation                                  */
+/* -------------------------------------------- */
+
+/**
+ * Get the moderation the GMs have in place for everyone
+ * @return {{muted: string[], hidden: string[], volumes: object, spotlight: string|null,
+ *   moderator: string|null}}   The muted and hidden User IDs, the volume everyone hears each
+ *   turned down user at, the spotlighted User ID, and the GM that last changed the moderation
+ */
+export function getModeration() {
+  const {
+    muted = [], hidden = [], volumes = {}, spotlight = null, moderator = null,
+  } = game.settings.get(MODULE_NAME, "moderation");
+  return {
+    muted, hidden, volumes, spotlight, moderator,
+  };
+}
+
+/**
+ * Has a GM muted a user for everyone?
+ * @param {string} userId       The User ID
+ * @return {boolean}
+ */
+export function isMuted(userId) {
+  return getModeration().muted.includes(userId);
+}
+
+/**
+ * Has a GM turned off a user's camera for everyone?
+ * @param {string} userId       The User ID
+ * @return {boolean}
+ */
+export function isHidden(userId) {
+  return getModeration().hidden.includes(userId);
+}
+
+/**
+ * Get the volume a GM has set for everyone to hear a user at
+ * @param {string} userId       The User ID
+ * @return {number}             The volume, from 0 to 1
+ */
+export function getVolume(userId) {
+  const volume = getModeration().volumes[userId];
+  return typeof volume === "number" ? Math.clamped(volume, 0, 1) : 1;
+}
+
+/**
+ * As a GM, change the moderation for everyone
+ * @param {object} changes      The moderation values to replace
+ * @return {Promise}
+ */
+export function updateModeration(changes) {
+  return game.settings.set(MODULE_NAME, "moderation", {
+    ...getModeration(),
+    ...changes,
+    moderator: game.user.id,
+  });
+}
+
+/**
+ * As a GM, stop a player from sending audio until they are unmuted again
+ * @param {string} userId       The User ID of the player
+ * @param {boolean} muted
+ * @return {Promise}
+ */
+export function setMuted(userId, muted) {
+  const users = getModeration().muted.filter((id) => id !== userId);
+  if (muted) users.push(userId);
+  return updateModeration({ muted: users });
+}
+
+/**
+ * As a GM, stop a player from sending video until they are shown again
+ * @param {string} userId       The User ID of the player
+ * @param {boolean} hidden
+ * @return {Promise}
+ */
+export function setHidden(userId, hidden) {
+  const users = getModeration().hidden.filter((id) => id !== userId);
+  if (hidden) users.push(userId);
+  return updateModeration({ hidden: users });
+}
+
+/**
+ * As a GM, set the volume everyone hears a user at
+ * @param {string} userId       The User ID
+ * @param {number} volume       The volume, from 0 to 1
+ * @return {Promise}
+ */
+export function setVolume(userId, volume) {
+  const { volumes } = getModeration();
+  if (volume < 1) {
+    volumes[userId] = volume;
+  } else {
+    delete volumes[userId];
+  }
+  return updateModeration({ volumes });
+}
+
+/**
+ * As a GM, enlarge a user's camera view for everyone
+ * @param {string|null} userId  The User ID, or null to end the spotlight
+ * @return {Promise}
+ */
+export function setSpotlight(userId) {
+  return updateModeration({ spotlight: userId });
+}
@@ -0,0 +1,109 @@
+/* -------------------------------------------- */
+/*  Connection statistics                       */
+/* -------------------------------------------- */
+
+/**
+ * Calculate the bitrate of a stat from the byte counters in two reports
+ * @param {object} stat             The current stat
+ * @param {object} previousStat     The same stat from an earlier report
+ * @param {string} bytesKey         The byte counter to use
+ * @return {number|null}            The bitrate in kbps, or null if it can't be calculated
+ */
+function getBitrate(stat, previousStat, bytesKey) {
+  if (!previousStat || stat.timestamp <= previousStat.timestamp) return null;
+
+  const bits = 8 * (stat[bytesKey] - previousStat[bytesKey]);
+  return Math.round(bits / (stat.timestamp - previousStat.timestamp));
+}
+
+/**
+ * Find the candidate pair that is currently being used by the connection
+ * @param {RTCStatsReport} report   The stats report
+ * @return {object|null}            The candidate-pair stat
+ */
+function getSelectedCandidatePair(report) {
+  let selectedPair = null;
+
+  report.forEach((stat) => {
+    if (stat.type === "transport" && stat.selectedCandidatePairId) {
+      selectedPair = report.get(stat.selectedCandidatePairId);
+    }
+  });
+
+  // Firefox doesn't report transports, but flags the selected pair instead
+  if (!selectedPair) {
+    report.forEach((stat) => {
+      if (stat.type === "candidate-pair" && (stat.selected || (stat.nominated && stat.state === "succeeded"))) {
+        selectedPair = stat;
+      }
+    });
+  }
+
+  return selectedPair;
+}
+
+/**
+ * Summarize an RTCStatsReport into the values shown for a connection
+ * @param {RTCStatsReport} report           The current stats report
+ * @param {RTCStatsReport} [previousReport] An earlier report, used to calculate bitrates
+ * @return {object}                         The summary
+ */
+export function summarizeStats(report, previousReport) {
+  const summary = {
+    candidatePair: null,
+    inbound: [],
+    outbound: [],
+  };
+
+  const selectedPair = getSelectedCandidatePair(report);
+  if (selectedPair) {
+    const localCandidate = report.get(selectedPair.localCandidateId) || {};
+    const remoteCandidate = report.get(selectedPair.remoteCandidateId) || {};
+
+    summary.candidatePair = {
+      localType: localCandidate.candidateType,
+      remoteType: remoteCandidate.candidateType,
+      protocol: localCandidate.protocol,
+      relayProtocol: localCandidate.relayProtocol,
+      roundTripTime: selectedPair.currentRoundTripTime !== undefined
+        ? Math.round(selectedPair.currentRoundTripTime * 1000) : null,
+      availableOutgoingBitrate: selectedPair.availableOutgoingBitrate !== undefined
+        ? Math.round(selectedPair.availableOutgoingBitrate / 1000) : null,
+    };
+  }
+
+  report.forEach((stat) => {
+    if (stat.type !== "inbound-rtp" && stat.type !== "outbound-rtp") return;
+
+    const previousStat = previousReport ? previousReport.get(stat.id) : null;
+    const codec = report.get(stat.codecId);
+    const rtp = {
+      kind: stat.kind || stat.mediaType,
+      codec: codec ? codec.mimeType.split("/")[1] : null,
+      width: stat.frameWidth,
+      height: stat.frameHeight,
+      framesPerSecond: stat.framesPerSecond,
+    };
+
+    if (stat.type === "inbound-rtp") {
+      const packetsTotal = stat.packetsReceived + stat.packetsLost;
+      rtp.bitrate = getBitrate(stat, previousStat, "bytesReceived");
+      rtp.packetsLost = stat.packetsLost;
+      rtp.packetLoss = packetsTotal > 0
+        ? Math.round((stat.packetsLost / packetsTotal) * 1000) / 10 : 0;
+      rtp.jitter = stat.jitter !== undefined ? Math.round(stat.jitter * 1000) : null;
+      summary.inbound.push(rtp);
+    } else {
+      // Loss and jitter for outbound streams are reported back by the remote side
+      const remoteInbound = report.get(stat.remoteId) || {};
+      rtp.bitrate = getBitrate(stat, previousStat, "bytesSent");
+      rtp.packetsLost = remoteInbound.packetsLost;
+      rtp.packetLoss = remoteInbound.fractionLost !== undefined
+        ? Math.round(remoteInbound.fractionLost * 1000) / 10 : null;
+      rtp.jitter = remoteInbound.jitter !== undefined ? Math.round(remoteInbound.jitter * 1000) : null;
+      summary.outbound.push(rtp);
+    }
+  });
+
+  return summary;
+}
@@ -1,8 +1,491 @@
-import { MODULE_NAME } from "./constants.js";
+import { LANG_NAME, MODULE_NAME, TURN_CREDENTIAL_TTL_RANGE } from "./constants.js";
 import * as helpers from "./helpers.js";
 import * as log from "./logging.js";
 
+import ScreenSharePermissionsConfig from "../ScreenSharePermissionsConfig.js";
+import TrustedKeysConfig from "../TrustedKeysConfig.js";
+import VoiceRoomsConfig from "../VoiceRoomsConfig.js";
+
+/**
+ * Offer every user of the world as the relay user, by ID so renaming a user doesn't change it
+ */
+export function updateRelayUserChoices() {
+  const { choices } = game.settings.settings.get(`${MODULE_NAME}.relayUser`);
+  for (const key of Object.keys(choices)) {
+    if (key) delete choices[key];
+  }
+  for (const user of game.users) {
+    choices[user.id] = user.name;
+  }
+}
+
 export default function registerModuleSettings() {
+  // Register ICE server settings
+  helpers.registerModuleSetting({
+    name: "iceServers",
+    scope: "world",
+    config: true,
+    default: "",
+    type: String,
+    onChange: () => helpers.delayReload(),
+  });
+
+  helpers.registerModuleSetting({
+    name: "turnUsername",
+    scope: "world",
+    config: true,
+    default: "",
+    type: String,
+    onChange: () => helpers.delayReload(),
+  });
+
+  helpers.registerModuleSetting({
+    name: "turnCredential",
+    scope: "world",
+    config: true,
+    default: "",
+    type: String,
+    onChange: () => helpers.delayReload(),
+  });
+
+  // The shared secret is kept on the GM's computer, since world settings are sent to every user
+  helpers.registerModuleSetting({
+    name: "turnSecret",
+    scope: "client",
+    config: true,
+    default: "",
+    type: String,
+    onChange: () => helpers.delayReload(),
+  });
+
+  helpers.registerModuleSetting({
+    name: "turnCredentialTtl",
+    scope: "world",
+    config: true,
+    default: 86400,
+    type: Number,
+    range: {
+      min: TURN_CREDENTIAL_TTL_RANGE.min,
+      max: TURN_CREDENTIAL_TTL_RANGE.max,
+      step: 3600,
+    },
+    onChange: () => helpers.delayReload(),
+  });
+
+  helpers.registerModuleSetting({
+    name: "usePublicStun",
+    scope: "world",
+    config: true,
+    default: true,
+    type: Boolean,
+    onChange: () => helpers.delayReload(),
+  });
+
+  helpers.registerModuleSetting({
+    name: "forceRelay",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: () => helpers.delayReload(),
+  });
+
+  // Register signaling verification settings
+  helpers.registerModuleSetting({
+    name: "verifyFingerprints",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean,
+  });
+
+  helpers.registerModuleSetting({
+    name: "signingKey",
+    scope: "client",
+    config: false,
+    default: {},
+    type: Object,
+  });
+
+  helpers.registerModuleSetting({
+    name: "trustedKeys",
+    scope: "client",
+    config: false,
+    default: {},
+    type: Object,
+  });
+
+  game.settings.registerMenu(MODULE_NAME, "trustedKeys", {
+    name: `${LANG_NAME}.trustedKeys`,
+    label: `${LANG_NAME}.trustedKeysLabel`,
+    hint: `${LANG_NAME}.trustedKeysMenuHint`,
+    icon: "fas fa-key",
+    type: TrustedKeysConfig,
+    restricted: false,
+  });
+
+  // Register reconnection settings
+  helpers.registerModuleSetting({
+    name: "maxReconnectAttempts",
+    scope: "world",
+    config: true,
+    default: 5,
+    type: Number,
+    range: {
+      min: 0,
+      max: 20,
+      step: 1,
+    },
+  });
+
+  // Register connection topology settings
+  helpers.registerModuleSetting({
+    name: "topology",
+    scope: "world",
+    config: true,
+    default: "mesh",
+    type: String,
+    choices: {
+      mesh: `${LANG_NAME}.topologyMesh`,
+      relay: `${LANG_NAME}.topologyRelay`,
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}TopologyChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "relayMinUsers",
+    scope: "world",
+    config: true,
+    default: 6,
+    type: Number,
+    range: {
+      min: 3,
+      max: 20,
+      step: 1,
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}TopologyChanged`),
+  });
+
+  // The users are only known once the world is ready, see updateRelayUserChoices
+  helpers.registerModuleSetting({
+    name: "relayUser",
+    scope: "world",
+    config: true,
+    default: "",
+    type: String,
+    choices: {
+      "": `${LANG_NAME}.relayUserAuto`,
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}TopologyChanged`),
+  });
+
+  // Register screen share settings
+  helpers.registerModuleSetting({
+    name: "screenShareUsers",
+    scope: "world",
+    config: false,
+    default: {},
+    type: Object,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}ScreenShareUsersChanged`),
+  });
+
+  game.settings.registerMenu(MODULE_NAME, "screenSharePermissions", {
+    name: `${LANG_NAME}.screenSharePermissions`,
+    label: `${LANG_NAME}.screenSharePermissionsLabel`,
+    hint: `${LANG_NAME}.screenSharePermissionsHint`,
+    icon: "fas fa-desktop",
+    type: ScreenSharePermissionsConfig,
+    restricted: true,
+  });
+
+  // Register session recording settings
+  helpers.registerModuleSetting({
+    name: "recordSeparateTracks",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean,
+  });
+
+  // Register voice room settings
+  helpers.registerModuleSetting({
+    name: "voiceRooms",
+    scope: "world",
+    config: false,
+    default: { rooms: [], members: {}, listening: {} },
+    type: Object,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}VoiceRoomsChanged`),
+  });
+
+  game.settings.registerMenu(MODULE_NAME, "voiceRoomsMenu", {
+    name: `${LANG_NAME}.voiceRooms`,
+    label: `${LANG_NAME}.voiceRoomsLabel`,
+    hint: `${LANG_NAME}.voiceRoomsHint`,
+    icon: "fas fa-door-open",
+    type: VoiceRoomsConfig,
+    restricted: true,
+  });
+
+  helpers.registerModuleSetting({
+    name: "voiceRoomsVideo",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}VoiceRoomsChanged`),
+  });
+
+  // Register the volume and local mute of each remote user
+  helpers.registerModuleSetting({
+    name: "userAudio",
+    scope: "client",
+    config: false,
+    default: {},
+    type: Object,
+  });
+
+  // Register the moderation the GMs have in place for everyone
+  helpers.registerModuleSetting({
+    name: "moderation",
+    scope: "world",
+    config: false,
+    default: {
+      muted: [], hidden: [], volumes: {}, spotlight: null, moderator: null,
+    },
+    type: Object,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}ModerationChanged`),
+  });
+
+  // Register the GMs recording the call, so users that join while it runs are told too
+  helpers.registerModuleSetting({
+    name: "recording",
+    scope: "world",
+    config: false,
+    default: { users: [] },
+    type: Object,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}RecordingChanged`),
+  });
+
+  // Register spatial audio settings
+  helpers.registerModuleSetting({
+    name: "spatialAudioRange",
+    scope: "world",
+    config: true,
+    default: 12,
+    type: Number,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}SpatialAudioChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "spatialAudioFalloff",
+    scope: "world",
+    config: true,
+    default: "linear",
+    type: String,
+    choices: {
+      linear: `${LANG_NAME}.spatialAudioFalloffLinear`,
+      quadratic: `${LANG_NAME}.spatialAudioFalloffQuadratic`,
+      smooth: `${LANG_NAME}.spatialAudioFalloffSmooth`,
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}SpatialAudioChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "spatialAudioPan",
+    scope: "world",
+    config: true,
+    default: true,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}SpatialAudioChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "spatialAudioWalls",
+    scope: "world",
+    config: true,
+    default: "muffle",
+    type: String,
+    choices: {
+      none: `${LANG_NAME}.spatialAudioWallsNone`,
+      muffle: `${LANG_NAME}.spatialAudioWallsMuffle`,
+      block: `${LANG_NAME}.spatialAudioWallsBlock`,
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}SpatialAudioChanged`),
+  });
+
+  // Register audio processing settings
+  helpers.registerModuleSetting({
+    name: "echoCancellation",
+    scope: "client",
+    config: true,
+    default: true,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}AudioProcessingChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "noiseSuppression",
+    scope: "client",
+    config: true,
+    default: true,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}AudioProcessingChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "autoGainControl",
+    scope: "client",
+    config: true,
+    default: true,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}AudioProcessingChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "audioChannels",
+    scope: "client",
+    config: true,
+    default: "1",
+    type: String,
+    choices: {
+      1: `${LANG_NAME}.audioChannelsMono`,
+      2: `${LANG_NAME}.audioChannelsStereo`,
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}AudioProcessingChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "highFidelityAudio",
+    scope: "client",
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}AudioProcessingChanged`),
+  });
+
+  // Register video quality settings
+  helpers.registerModuleSetting({
+    name: "videoResolution",
+    scope: "client",
+    config: true,
+    default: "320x240",
+    type: String,
+    choices: {
+      "320x240": "320×240",
+      "640x360": "640×360",
+      "640x480": "640×480",
+      "1280x720": "1280×720",
+      "1920x1080": "1920×1080",
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}VideoQualityChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "videoFrameRate",
+    scope: "client",
+    config: true,
+    default: "30",
+    type: String,
+    choices: {
+      15: "15",
+      24: "24",
+      30: "30",
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}VideoQualityChanged`),
+  });
+
+  helpers.registerModuleSetting({
+    name: "maxVideoBitrate",
+    scope: "client",
+    config: true,
+    default: 0,
+    type: Number,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}VideoQualityChanged`),
+  });
+
+  // Register codec settings
+  helpers.registerModuleSetting({
+    name: "videoCodecOrder",
+    scope: "world",
+    config: true,
+    default: "",
+    type: String,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}CodecsChanged`, "videoCodecOrder"),
+  });
+
+  helpers.registerModuleSetting({
+    name: "clientVideoCodecOrder",
+    scope: "client",
+    config: true,
+    default: "",
+    type: String,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}CodecsChanged`, "clientVideoCodecOrder"),
+  });
+
+  helpers.registerModuleSetting({
+    name: "opusDtx",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}CodecsChanged`, "opusDtx"),
+  });
+
+  helpers.registerModuleSetting({
+    name: "opusFec",
+    scope: "world",
+    config: true,
+    default: true,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}CodecsChanged`, "opusFec"),
+  });
+
+  helpers.registerModuleSetting({
+    name: "opusMaxBitrate",
+    scope: "world",
+    config: true,
+    default: 0,
+    type: Number,
+    range: {
+      min: 0,
+      max: 510,
+      step: 2,
+    },
+    onChange: () => Hooks.callAll(`${MODULE_NAME}CodecsChanged`, "opusMaxBitrate"),
+  });
+
+  helpers.registerModuleSetting({
+    name: "opusStereo",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}CodecsChanged`, "opusStereo"),
+  });
+
+  helpers.registerModuleSetting({
+    name: "autoVideoQuality",
+    scope: "client",
+    config: true,
+    default: true,
+    type: Boolean,
+    onChange: () => Hooks.callAll(`${MODULE_NAME}VideoQualityChanged`),
+  });
+
+  // Register voice activity detection settings
+  helpers.registerModuleSetting({
+    name: "voiceActivityHangTime",
+    scope: "client",
+    config: true,
+    default: 500,
+    type: Number,
+    range: {
+      min: 0,
+      max: 2000,
+      step: 50,
+    },
+  });
+
   // Register debug logging setting
   helpers.registerModuleSetting({
     name: "debug",
@@ -0,0 +1,182 @@
+/* -------------------------------------------- */
+/*  SDP Manipulation                            */
+/* -------------------------------------------- */
+
+/**
+ * Get the RTP payload types used for a codec in a session description
+ * @param {string} sdp          The session description
+ * @param {string} codecName    The codec name (e.g. "opus")
+ * @return {string[]}           The payload types
+ */
+export function getPayloadTypes(sdp, codecName) {
+  const payloadTypes = [];
+  const rtpmapRegex = new RegExp(`^a=rtpmap:(\\d+) ${codecName}/`, "gim");
+
+  let match = rtpmapRegex.exec(sdp);
+  while (match) {
+    payloadTypes.push(match[1]);
+    match = rtpmapRegex.exec(sdp);
+  }
+
+  return payloadTypes;
+}
+
+/**
+ * Set format parameters (a=fmtp) for every payload type of a codec, in every media section
+ * that uses it. With BUNDLE, sections share payload types, so each section has its own fmtp line.
+ * @param {string} sdp          The session description
+ * @param {string} codecName    The codec name (e.g. "opus")
+ * @param {object} parameters   The parameters to set; null values remove a parameter
+ * @return {string}             The modified session description
+ */
+export function setFmtpParameters(sdp, codecName, parameters) {
+  return sdp.split(/\r\n(?=m=)/).map((section) => {
+    // The session level part before the first media section has no codecs
+    if (!section.startsWith("m=")) return section;
+
+    const lines = section.split("\r\n");
+    for (const payloadType of getPayloadTypes(section, codecName)) {
+      const fmtpPrefix = `a=fmtp:${payloadType} `;
+      let fmtpIndex = lines.findIndex((l) => l.startsWith(fmtpPrefix));
+
+      // Add an empty fmtp line after the rtpmap if the codec doesn't have one yet
+      if (fmtpIndex === -1) {
+        fmtpIndex = lines.findIndex((l) => l.startsWith(`a=rtpmap:${payloadType} `)) + 1;
+        lines.splice(fmtpIndex, 0, fmtpPrefix);
+      }
+
+      const fmtp = {};
+      for (const parameter of lines[fmtpIndex].substring(fmtpPrefix.length).split(";")) {
+        const [key, value] = parameter.split("=");
+        if (key) fmtp[key.trim()] = value;
+      }
+
+      for (const [key, value] of Object.entries(parameters)) {
+        if (value === null) {
+          delete fmtp[key];
+        } else {
+          fmtp[key] = value;
+        }
+      }
+
+      lines[fmtpIndex] = fmtpPrefix + Object.entries(fmtp)
+        .map(([key, value]) => (value === undefined ? key : `${key}=${value}`))
+        .join(";");
+    }
+    return lines.join("\r\n");
+  }).join("\r\n");
+}
+
+/**
+ * Get the DTLS certificate fingerprints from a session description
+ * @param {string} sdp          The session description
+ * @return {string[]}           The fingerprints, e.g. "sha-256 AB:CD:..."
+ */
+export function getDtlsFingerprints(sdp) {
+  const fingerprints = [];
+  const fingerprintRegex = /^a=fingerprint:(.+)$/gim;
+
+  let match = fingerprintRegex.exec(sdp);
+  while (match) {
+    fingerprints.push(match[1].trim());
+    match = fingerprintRegex.exec(sdp);
+  }
+
+  return fingerprints;
+}
+
+/**
+ * Get the audio and video a session description offers to send, with the stream each track
+ * belongs to
+ * @param {string} sdp          The session description
+ * @return {{kind: string, streamId: string|null}[]}  The media kind (e.g. "audio", "video") and
+ *   stream ID of each sending media section
+ */
+export function getSendingStreams(sdp) {
+  const streams = [];
+
+  for (const section of sdp.split(/\r?\nm=/).slice(1)) {
+    const [kind, port] = section.split(" ");
+    const direction = (section.match(/^a=(sendrecv|sendonly|recvonly|inactive)\s*$/m) || [])[1]
+      || "sendrecv";
+
+    // Rejected sections have their port set to 0, and data channels have no direction
+    if (["audio", "video"].includes(kind) && port !== "0"
+      && ["sendrecv", "sendonly"].includes(direction)) {
+      const msid = section.match(/^a=msid:(\S+)/m);
+      streams.push({ kind, streamId: msid && msid[1] !== "-" ? msid[1] : null });
+    }
+  }
+
+  return streams;
+}
+
+/**
+ * Reorder the codecs of every media section of a kind, so the preferred codecs are used when
+ * both sides support them. Codecs that aren't listed keep their order after the preferred ones.
+ * @param {string} sdp          The session description
+ * @param {string} kind         The media kind (e.g. "video")
+ * @param {string[]} codecNames The preferred codec names, most preferred first (e.g. "VP9")
+ * @return {string}             The modified session description
+ */
+export function setCodecOrder(sdp, kind, codecNames) {
+  if (codecNames.length === 0) return sdp;
+
+  return sdp.split(/\r\n(?=m=)/).map((section) => {
+    if (!section.startsWith(`m=${kind} `)) return section;
+
+    const lines = section.split("\r\n");
+    const [media, port, protocol, ...payloadTypes] = lines[0].split(" ");
+    const preferred = [];
+    for (const codecName of codecNames) {
+      for (const payloadType of getPayloadTypes(section, codecName)) {
+        if (payloadTypes.includes(payloadType) && !preferred.includes(payloadType)) {
+          preferred.push(payloadType);
+        }
+      }
+    }
+
+    lines[0] = [
+      media,
+      port,
+      protocol,
+      ...preferred,
+      ...payloadTypes.filter((pt) => !preferred.includes(pt)),
+    ].join(" ");
+    return lines.join("\r\n");
+  }).join("\r\n");
+}
+
+/**
+ * Get the codec that will be used for each media section of a session description: the first
+ * codec listed that carries media, rather than retransmissions or error correction
+ * @param {string} sdp          The session description
+ * @return {{kind: string, codec: string, parameters: string}[]}  The codec of each kind, with
+ *   its format parameters
+ */
+export function getNegotiatedCodecs(sdp) {
+  const supportCodecs = ["rtx", "red", "ulpfec", "flexfec-03", "cn", "telephone-event"];
+  const codecs = [];
+
+  for (const section of sdp.split(/\r?\n(?=m=)/).slice(1)) {
+    const [kind, port, , ...payloadTypes] = section.substring(2).split(/\r?\n/)[0].split(" ");
+    if (port === "0") continue;
+
+    for (const payloadType of payloadTypes) {
+      const rtpmap = section.match(new RegExp(`^a=rtpmap:${payloadType} ([^/\\s]+)`, "m"));
+      if (rtpmap && !supportCodecs.includes(rtpmap[1].toLowerCase())) {
+        const fmtp = section.match(new RegExp(`^a=fmtp:${payloadType} (.*)$`, "m"));
+        const codec = { kind, codec: rtpmap[1], parameters: fmtp ? fmtp[1].trim() : "" };
+
+        // Screen shares and forwarded streams add more sections with the same codecs
+        if (!codecs.some((c) => c.kind === codec.kind && c.codec === codec.codec
+          && c.parameters === codec.parameters)) {
+          codecs.push(codec);
+        }
+        break;
+      }
+    }
+  }
+
+  return codecs;
+}
@@ -0,0 +1,92 @@
+import { MODULE_NAME } from "./constants.js";
+
+/* -------------------------------------------- */
+/*  Spatial Audio                               */
+/* -------------------------------------------- */
+
+// Spatial parameters for users that are heard normally
+export const NEUTRAL_SPATIAL = { gain: 1, pan: 0, muffled: false };
+
+// Volume of users heard through a wall when walls muffle sound
+const MUFFLED_GAIN = 0.5;
+
+/**
+ * Volume falloff curves, taking the distance as a fraction of the hearing range
+ */
+const FALLOFF_CURVES = {
+  linear: (t) => 1 - t,
+  quadratic: (t) => (1 - t) ** 2,
+  smooth: (t) => (1 + Math.cos(Math.PI * t)) / 2,
+};
+
+/**
+ * Is spatial audio turned on for the scene currently being viewed?
+ * @return {boolean}
+ */
+export function isSpatialAudioEnabled() {
+  return !!(canvas && canvas.ready && canvas.scene
+    && canvas.scene.getFlag(MODULE_NAME, "spatialAudio"));
+}
+
+/**
+ * Find the token that represents a user on the current scene.
+ * The local user hears from their controlled token first, so a GM can listen in by
+ * controlling a token. Otherwise the user's character is used, then any token they own.
+ * @param {User} user         The user
+ * @return {Token|null}       The token, or null if the user isn't on the scene
+ */
+export function getUserToken(user) {
+  if (!user || !canvas.ready) return null;
+
+  if (user.isSelf && canvas.tokens.controlled.length > 0) {
+    return canvas.tokens.controlled[0];
+  }
+
+  const tokens = canvas.tokens.placeables.filter((t) => t.actor);
+  if (user.character) {
+    const characterToken = tokens.find((t) => t.actor.id === user.character.id);
+    if (characterToken) return characterToken;
+  }
+
+  // Gamemasters own every token, so only use tokens they control or their character
+  if (user.isGM) return null;
+
+  return tokens.find((t) => t.actor.testUserPermission(user, "OWNER")) || null;
+}
+
+/**
+ * Work out how a speaking user should be heard by the listening user
+ * @param {User} listener     The user hearing the audio
+ * @param {User} speaker      The user the audio comes from
+ * @return {{gain: number, pan: number, muffled: boolean}}
+ */
+export function getSpatialParameters(listener, speaker) {
+  const listenerToken = getUserToken(listener);
+  const speakerToken = getUserToken(speaker);
+
+  // Users without a token on the scene, like a narrating GM, are heard normally
+  if (!listenerToken || !speakerToken) return NEUTRAL_SPATIAL;
+
+  const range = game.settings.get(MODULE_NAME, "spatialAudioRange") * canvas.grid.size;
+  const ray = new Ray(listenerToken.center, speakerToken.center);
+  const falloff = FALLOFF_CURVES[game.settings.get(MODULE_NAME, "spatialAudioFalloff")]
+    || FALLOFF_CURVES.linear;
+
+  let gain = range > 0 ? Math.max(falloff(Math.min(ray.distance / range, 1)), 0) : 0;
+  let muffled = false;
+
+  const walls = game.settings.get(MODULE_NAME, "spatialAudioWalls");
+  if (walls !== "none" && canvas.walls.checkCollision(ray, { type: "sound" })) {
+    if (walls === "block") {
+      gain = 0;
+    } else {
+      gain *= MUFFLED_GAIN;
+      muffled = true;
+    }
+  }
+
+  const pan = (game.settings.get(MODULE_NAME, "spatialAudioPan") && range > 0)
+    ? Math.clamped(ray.dx / range, -1, 1) : 0;
+
+  return { gain, pan, muffled };
+}
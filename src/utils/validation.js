@@ -0,0 +1,105 @@
+/* -------------------------------------------- */
+/*  Socket Request Validation                   */
+/* -------------------------------------------- */
+
+// Upper limit on the size of session descriptions accepted from other users
+const MAX_SDP_LENGTH = 64 * 1024;
+
+const isObject = (value) => typeof value === "object" && value !== null;
+const isString = (value) => typeof value === "string";
+
+/**
+ * Rebuild signal data received from another user, keeping only the fields simple-peer uses
+ * @param {*} data              The received signal data
+ * @return {object|null}        The signal data, or null if it isn't valid
+ */
+export function sanitizeSignal(data) {
+  if (!isObject(data)) return null;
+
+  switch (data.type) {
+    case "offer":
+    case "answer":
+      if (!isString(data.sdp) || data.sdp.length > MAX_SDP_LENGTH) return null;
+      return { type: data.type, sdp: data.sdp };
+    case "candidate":
+      if (!isObject(data.candidate) || !isString(data.candidate.candidate)) return null;
+      return {
+        type: "candidate",
+        candidate: {
+          candidate: data.candidate.candidate,
+          sdpMLineIndex: data.candidate.sdpMLineIndex,
+          sdpMid: data.candidate.sdpMid,
+        },
+      };
+    case "renegotiate":
+      return { type: "renegotiate", renegotiate: true };
+    case "transceiverRequest":
+      if (!isObject(data.transceiverRequest)
+        || !["audio", "video"].includes(data.transceiverRequest.kind)) {
+        return null;
+      }
+      return {
+        type: "transceiverRequest",
+        transceiverRequest: {
+          kind: data.transceiverRequest.kind,
+          init: isObject(data.transceiverRequest.init) ? data.transceiverRequest.init : undefined,
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check that a moderation request has the expected options for its command
+ * @param {object} request      The received request
+ * @return {boolean}            Is the request valid?
+ */
+function isValidModeration(request) {
+  switch (request.command) {
+    case "request-mute":
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check that a request received on the module socket has the expected shape for its action
+ * @param {*} request           The received request
+ * @return {boolean}            Is the request valid?
+ */
+export function isValidRequest(request) {
+  if (!isObject(request) || !isString(request.action) || !isString(request.userId)) return false;
+
+  switch (request.action) {
+    case "peer-signal":
+      return isString(request.sessionId) && sanitizeSignal(request.data) !== null
+        && (request.identity === undefined || isObject(request.identity));
+    case "peer-request":
+      return true;
+    case "peer-close":
+      return request.sessionId === undefined || isString(request.sessionId);
+    case "screen-share":
+      return request.streamId === null || isString(request.streamId);
+    case "relay-stream":
+      return isString(request.sourceUserId)
+        && (request.streamId === null || isString(request.streamId));
+    case "whisper":
+      return request.targetUserId === null || isString(request.targetUserId);
+    case "turn-credentials-request":
+      return true;
+    case "turn-credentials":
+      return (request.username === null && request.credential === null)
+        || (isString(request.username) && isString(request.credential)
+          && typeof request.ttl === "number");
+    case "moderation":
+      return isValidModeration(request);
+    case "codecs":
+      return isString(request.peerUserId) && Array.isArray(request.codecs)
+        && request.codecs.every((c) => isObject(c)
+          && isString(c.kind) && isString(c.codec) && isString(c.parameters));
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,52 @@
+import { MODULE_NAME } from "./constants.js";
+
+/* -------------------------------------------- */
+/*  Voice Rooms                                 */
+/* -------------------------------------------- */
+
+// The room of users that haven't been moved to a voice room
+export const MAIN_ROOM = "main";
+// Listen in on every room
+export const ALL_ROOMS = "all";
+
+/**
+ * Get the voice rooms defined by the GM
+ * @return {{rooms: {id: string, name: string}[], members: object, listening: object}}
+ *   The rooms, the room ID of each user that isn't in the main room, and the room each GM is
+ *   listening in on
+ */
+export function getVoiceRooms() {
+  const { rooms = [], members = {}, listening = {} } = game.settings.get(MODULE_NAME, "voiceRooms");
+  return { rooms, members, listening };
+}
+
+/**
+ * Get the room a user is in
+ * @param {string} userId       The User ID
+ * @return {string}             The room ID
+ */
+export function getUserRoom(userId) {
+  const { rooms, members } = getVoiceRooms();
+  const roomId = members[userId];
+
+  // Users in rooms that have been deleted are back in the main room
+  return rooms.some((r) => r.id === roomId) ? roomId : MAIN_ROOM;
+}
+
+/**
+ * Can a user hear another user, given the rooms they are in?
+ * Users hear the other users in their room, and GMs also hear the room they are listening in on.
+ * @param {string} speakerId    The User ID of the speaking user
+ * @param {string} listenerId   The User ID of the listening user
+ * @return {boolean}
+ */
+export function canHear(speakerId, listenerId) {
+  const speakerRoom = getUserRoom(speakerId);
+  if (speakerRoom === getUserRoom(listenerId)) return true;
+
+  const listener = game.users.get(listenerId);
+  if (!listener || !listener.isGM) return false;
+
+  const listening = getVoiceRooms().listening[listenerId];
+  return listening === ALL_ROOMS || listening === speakerRoom;
+}
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  createWorld, delay, getMessages, loginAll, logs, MODULE_NAME, waitForMesh,
+} from "./harness/index.js";
+
+const ALICE = "alice00000000001";
+const BOB = "bob0000000000001";
+const GM = "gamemaster000001";
+
+test("every user connects to every other user and receives their media", async () => {
+  const server = createWorld();
+  const clients = await loginAll(server, [GM, ALICE, BOB]);
+
+  for (const client of clients) {
+    for (const other of clients.filter((c) => c !== client)) {
+      const stream = client.simplePeer.remoteStreams.get(other.user.id);
+      assert.ok(stream, `${client.user.name} has the stream of ${other.user.name}`);
+      assert.deepEqual(stream.getTracks().map((t) => t.kind).sort(), ["audio", "video"]);
+    }
+  }
+  assert.deepEqual(logs.filter((l) => l.level === "error"), []);
+});
+
+test("only the user with the lower ID sends offers", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+
+  assert.equal(alice.peers.get(BOB).initiator, true);
+  assert.equal(bob.peers.get(ALICE).initiator, false);
+
+  const types = (from, to) => getMessages(server, from, to, "peer-signal").map((m) => m.data.type);
+  assert.ok(types(ALICE, BOB).includes("offer"));
+  assert.ok(!types(ALICE, BOB).includes("answer"));
+  assert.ok(types(BOB, ALICE).includes("answer"));
+  assert.ok(!types(BOB, ALICE).includes("offer"));
+});
+
+test("users logging in at the same time end up with one session per pair", async () => {
+  const server = createWorld();
+  const clients = await Promise.all([GM, ALICE, BOB].map((userId) => server.login(userId)));
+  await waitForMesh(clients);
+
+  // Let any signals for crossing sessions arrive
+  await delay(100);
+  await waitForMesh(clients);
+
+  for (const client of clients) {
+    assert.equal(client.peers.size, 2);
+    for (const peer of client.peers.values()) {
+      assert.equal(peer.destroyed, false);
+    }
+  }
+  const offers = getMessages(server, BOB, ALICE, "peer-signal")
+    .filter((m) => m.data.type === "offer");
+  assert.deepEqual(offers, []);
+});
+
+test("an offer from the user that isn't the initiator doesn't replace the session", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  const peer = alice.peers.get(BOB);
+
+  // Bob's client offers a session of its own, as an old or modified client might
+  await bob.run(async () => {
+    const forged = new SimplePeer({ initiator: true, streams: [bob.simplePeer.localStream] });
+    const offer = await new Promise((resolve) => forged.once("signal", resolve));
+    game.socket.emit(`module.${MODULE_NAME}`, {
+      action: "peer-signal",
+      userId: ALICE,
+      sessionId: "forgedsession001",
+      data: offer,
+    });
+    forged.destroy();
+  });
+  await delay(100);
+
+  assert.equal(alice.peers.get(BOB), peer);
+  assert.equal(peer.destroyed, false);
+  assert.equal(peer.sessionId, bob.peers.get(ALICE).sessionId);
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  createWorld, getMessages, loginAll, waitFor, waitForMesh,
+} from "./harness/index.js";
+
+const ALICE = "alice00000000001";
+const BOB = "bob0000000000001";
+
+const USB_MICROPHONE = { kind: "audioinput", deviceId: "usb-microphone", label: "USB microphone" };
+const USB_CAMERA = { kind: "videoinput", deviceId: "usb-camera", label: "USB camera" };
+
+const getOffers = (server) => getMessages(server, ALICE, BOB, "peer-signal")
+  .filter((m) => m.data.type === "offer");
+
+test("selecting another microphone replaces the track without renegotiating", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  const { localStream } = alice.simplePeer;
+  const [oldTrack] = localStream.getAudioTracks();
+  const [videoTrack] = localStream.getVideoTracks();
+  const offers = getOffers(server).length;
+
+  alice.navigator.mediaDevices.plug(USB_MICROPHONE);
+  alice.run(() => alice.master.settings.set("client", "audioSrc", USB_MICROPHONE.deviceId));
+  await waitFor(() => localStream.getAudioTracks()[0] !== oldTrack);
+
+  const [newTrack] = localStream.getAudioTracks();
+  assert.equal(alice.simplePeer.localStream, localStream);
+  assert.equal(newTrack.deviceId, USB_MICROPHONE.deviceId);
+  assert.equal(oldTrack.readyState, "ended");
+  assert.deepEqual(localStream.getVideoTracks(), [videoTrack]);
+  assert.ok(alice.peers.get(BOB)._pc.getSenders().some((s) => s.track === newTrack));
+  assert.equal(getOffers(server).length, offers);
+  assert.equal(bob.simplePeer.remoteStreams.get(ALICE).getAudioTracks().length, 1);
+});
+
+test("a microphone that can't be opened keeps the current one", async () => {
+  const server = createWorld();
+  const [alice] = await loginAll(server, [ALICE, BOB]);
+  const [oldTrack] = alice.simplePeer.localStream.getAudioTracks();
+
+  alice.navigator.mediaDevices.plug(USB_MICROPHONE);
+  alice.navigator.mediaDevices.failures.set("audio", "NotFoundError");
+  alice.run(() => alice.master.settings.set("client", "audioSrc", USB_MICROPHONE.deviceId));
+  await waitFor(() => alice.notifications.some((n) => n.type === "error"));
+
+  assert.deepEqual(alice.simplePeer.localStream.getAudioTracks(), [oldTrack]);
+  assert.equal(oldTrack.readyState, "live");
+  assert.ok(alice.peers.get(BOB)._pc.getSenders().some((s) => s.track === oldTrack));
+});
+
+test("unplugging the selected camera falls back to the default camera", async () => {
+  const server = createWorld();
+  const [alice] = await loginAll(server, [ALICE]);
+  alice.navigator.mediaDevices.plug(USB_CAMERA);
+  alice.run(() => alice.master.settings.set("client", "videoSrc", USB_CAMERA.deviceId));
+  const getCamera = () => alice.simplePeer.localStream.getVideoTracks()[0];
+  await waitFor(() => getCamera().deviceId === USB_CAMERA.deviceId);
+
+  const bob = await server.login(BOB);
+  await waitForMesh([alice, bob]);
+  const oldTrack = getCamera();
+
+  alice.navigator.mediaDevices.unplug(USB_CAMERA.deviceId);
+  await waitFor(() => alice.notifications.some((n) => n.message.includes("deviceLost")));
+  await waitFor(() => getCamera() !== oldTrack);
+
+  const newTrack = getCamera();
+  assert.equal(newTrack.deviceId, "default");
+  assert.equal(oldTrack.readyState, "ended");
+  assert.ok(alice.peers.get(BOB)._pc.getSenders().some((s) => s.track === newTrack));
+});
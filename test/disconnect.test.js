@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  createWorld, delay, loginAll, waitFor, waitForMesh,
+} from "./harness/index.js";
+
+const ALICE = "alice00000000001";
+const BOB = "bob0000000000001";
+const GM = "gamemaster000001";
+
+test("logging out closes the connections on both sides", async () => {
+  const server = createWorld();
+  const [gm, alice, bob] = await loginAll(server, [GM, ALICE, BOB]);
+  const bobPeers = [...bob.peers.values()];
+
+  await server.logout(BOB);
+  await waitFor(() => !alice.peers.has(BOB) && !gm.peers.has(BOB));
+  await delay(100);
+
+  for (const client of [gm, alice]) {
+    assert.ok(!client.simplePeer.remoteStreams.has(BOB));
+    assert.equal(client.simplePeer.reconnecting.size, 0);
+  }
+  for (const peer of bobPeers) {
+    assert.equal(peer.destroyed, true);
+  }
+  await waitForMesh([gm, alice]);
+});
+
+test("the connections of a user whose browser closed are cleaned up", async () => {
+  const server = createWorld();
+  const [gm, alice] = await loginAll(server, [GM, ALICE, BOB]);
+
+  server.crash(BOB);
+  await waitFor(() => !alice.peers.has(BOB) && !gm.peers.has(BOB));
+
+  // Nobody keeps trying to reconnect to a user that isn't logged in
+  await delay(1500);
+  for (const client of [gm, alice]) {
+    assert.ok(!client.peers.has(BOB));
+    assert.ok(!client.simplePeer.remoteStreams.has(BOB));
+    assert.equal(client.simplePeer.reconnecting.size, 0);
+  }
+});
+
+test("a connection that lost its network path is recovered by restarting ICE", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  const peer = alice.peers.get(BOB);
+  const { sessionId } = peer;
+
+  peer.simulateNetworkLoss();
+  assert.ok(alice.simplePeer.reconnecting.has(BOB));
+  assert.ok(bob.simplePeer.reconnecting.has(ALICE));
+
+  await waitFor(() => peer._pc.iceRestarts === 1, { timeout: 4000 });
+  await waitFor(() => alice.simplePeer.reconnecting.size === 0
+    && bob.simplePeer.reconnecting.size === 0);
+
+  // The same session carries on, with the same media
+  await waitForMesh([alice, bob]);
+  assert.equal(alice.peers.get(BOB), peer);
+  assert.equal(bob.peers.get(ALICE).sessionId, sessionId);
+  assert.equal(bob.peers.get(ALICE)._pc.iceRestarts, 0);
+  assert.equal(alice.simplePeer.remoteStreams.get(BOB).getTracks().length, 2);
+});
+
+test("a connection that closed unexpectedly is replaced by a new session", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  const { sessionId } = alice.peers.get(BOB);
+
+  alice.peers.get(BOB).destroy();
+  await waitFor(() => alice.simplePeer.reconnecting.has(BOB));
+  await waitFor(() => alice.peers.has(BOB) && alice.peers.get(BOB).sessionId !== sessionId);
+  await waitForMesh([alice, bob]);
+  await waitFor(() => alice.simplePeer.reconnecting.size === 0
+    && bob.simplePeer.reconnecting.size === 0);
+
+  assert.equal(alice.simplePeer.remoteStreams.get(BOB).getTracks().length, 2);
+  assert.equal(bob.simplePeer.remoteStreams.get(ALICE).getTracks().length, 2);
+});
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  createWorld, loginAll, waitFor,
+} from "./harness/index.js";
+
+const ALICE = "alice00000000001";
+const BOB = "bob0000000000001";
+
+const getStates = (client, direction) => [...client.simplePeer.fileTransfers[direction].values()]
+  .map((t) => t.state);
+
+test("a file is received intact once accepted", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  bob.confirmDialogs = true;
+
+  const file = new File(["x".repeat(40000)], "notes.txt", { type: "text/plain" });
+  await alice.run(() => alice.simplePeer.fileTransfers.sendFile(file, [BOB]));
+  await waitFor(() => getStates(alice, "outgoing")[0] === "done");
+
+  const [transfer] = bob.simplePeer.fileTransfers.incoming.values();
+  assert.equal(transfer.state, "done");
+  assert.equal(await transfer.blob.text(), await file.text());
+});
+
+test("an empty file completes", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  bob.confirmDialogs = true;
+
+  await alice.run(() => alice.simplePeer.fileTransfers.sendFile(new File([], "empty.txt"), [BOB]));
+  await waitFor(() => getStates(alice, "outgoing")[0] === "done");
+
+  assert.deepEqual(getStates(bob, "incoming"), ["done"]);
+  assert.equal(bob.simplePeer.fileTransfers.incoming.values().next().value.blob.size, 0);
+});
+
+test("the name of an offered file is shown as text", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  const name = "<img src=x onerror=\"alert('x')\">.png";
+
+  await alice.run(() => alice.simplePeer.fileTransfers.sendFile(new File(["x"], name), [BOB]));
+  await waitFor(() => bob.dialogs.length === 1);
+
+  const { content } = bob.dialogs[0];
+  assert.ok(!content.includes("<img"));
+  assert.ok(content.includes("&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;.png"));
+  await waitFor(() => getStates(alice, "outgoing")[0] === "declined");
+});
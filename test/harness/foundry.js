@@ -0,0 +1,316 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomBytes } from "node:crypto";
+
+import {
+  FakeAudio, FakeAudioContext, FakeMediaRecorder, FakeMediaStream, FakeMediaStreamTrack,
+} from "./media.js";
+
+/* -------------------------------------------- */
+/*  Fake Foundry VTT globals                    */
+/* -------------------------------------------- */
+
+// Every simulated user runs their own client in the same process. The globals that differ
+// between clients are looked up from the client whose code is running.
+const clientContext = new AsyncLocalStorage();
+
+/**
+ * Get the client whose code is running
+ * @return {object}
+ */
+export function currentClient() {
+  const client = clientContext.getStore();
+  if (!client) throw new Error("Foundry globals used outside of a simulated client");
+  return client;
+}
+
+/**
+ * Run a function as a client, so the globals it uses are the client's
+ * @param {object} client
+ * @param {Function} fn
+ * @return {*}                  The result of the function
+ */
+export function runAsClient(client, fn) {
+  return clientContext.run(client, fn);
+}
+
+// Outside of a client they are undefined, as when a library checks whether it runs in a browser
+for (const name of ["canvas", "game", "Hooks", "navigator", "ui", "window"]) {
+  Object.defineProperty(globalThis, name, {
+    configurable: true,
+    get: () => {
+      const client = clientContext.getStore();
+      return client ? client[name] : undefined;
+    },
+  });
+}
+
+// Timers left running by the clients shouldn't keep the test process alive
+const { setInterval: realSetInterval } = globalThis;
+export const { setTimeout: realSetTimeout } = globalThis;
+globalThis.setInterval = (...args) => realSetInterval(...args).unref();
+globalThis.setTimeout = (...args) => realSetTimeout(...args).unref();
+
+/* -------------------------------------------- */
+/*  Utility functions                           */
+/* -------------------------------------------- */
+
+Math.clamped = (value, min, max) => Math.min(max, Math.max(min, value));
+
+globalThis.randomID = (length = 16) => randomBytes(length).toString("base64")
+  .replace(/[^a-zA-Z0-9]/g, "0")
+  .substring(0, length);
+
+globalThis.duplicate = (original) => JSON.parse(JSON.stringify(original));
+
+globalThis.getProperty = (object, key) => key.split(".")
+  .reduce((target, part) => (target && part in target ? target[part] : undefined), object);
+
+globalThis.hasProperty = (object, key) => globalThis.getProperty(object, key) !== undefined;
+
+globalThis.setProperty = (object, key, value) => {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let target = object;
+  for (const part of parts) {
+    if (typeof target[part] !== "object" || target[part] === null) target[part] = {};
+    target = target[part];
+  }
+  target[last] = value;
+  return true;
+};
+
+globalThis.flattenObject = (object, prefix = "") => {
+  const flat = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (typeof value === "object" && value !== null && !Array.isArray(value)
+      && Object.keys(value).length > 0) {
+      Object.assign(flat, globalThis.flattenObject(value, `${prefix}${key}.`));
+    } else {
+      flat[`${prefix}${key}`] = value;
+    }
+  }
+  return flat;
+};
+
+globalThis.expandObject = (flat) => {
+  const expanded = {};
+  for (const [key, value] of Object.entries(flat)) {
+    globalThis.setProperty(expanded, key, value);
+  }
+  return expanded;
+};
+
+globalThis.mergeObject = (original, other = {}) => {
+  const merged = original;
+  for (const [key, value] of Object.entries(other)) {
+    if (typeof value === "object" && value !== null && !Array.isArray(value)
+      && typeof merged[key] === "object" && merged[key] !== null) {
+      globalThis.mergeObject(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+};
+
+globalThis.debounce = (callback, delay) => {
+  let timeout;
+  return function debounced(...args) {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => callback.apply(this, args), delay);
+  };
+};
+
+/* -------------------------------------------- */
+/*  Classes                                     */
+/* -------------------------------------------- */
+
+/**
+ * A Map that iterates over its values, like Foundry's Collection
+ */
+export class Collection extends Map {
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  filter(condition) {
+    return Array.from(this.values()).filter(condition);
+  }
+
+  find(condition) {
+    return Array.from(this.values()).find(condition);
+  }
+
+  map(transform) {
+    return Array.from(this.values()).map(transform);
+  }
+
+  some(condition) {
+    return Array.from(this.values()).some(condition);
+  }
+}
+
+class Application {
+  constructor(object = {}, options = {}) {
+    this.object = object;
+    this.options = options;
+    this.rendered = false;
+  }
+
+  static get defaultOptions() {
+    return {};
+  }
+
+  close() {
+    this.rendered = false;
+    return Promise.resolve();
+  }
+
+  render() {
+    this.rendered = true;
+    return this;
+  }
+
+  setPosition() {}
+}
+
+class FormApplication extends Application {}
+
+class AVClient {
+  constructor(master, settings) {
+    this.master = master;
+    this.settings = settings;
+  }
+}
+
+class Dialog extends Application {
+  static confirm(options) {
+    const client = currentClient();
+    client.dialogs.push(options);
+    return Promise.resolve(client.confirmDialogs);
+  }
+
+  static prompt(options) {
+    currentClient().dialogs.push(options);
+    return Promise.resolve(null);
+  }
+}
+
+class AVConfig extends FormApplication {}
+
+Object.assign(globalThis, {
+  Application,
+  Audio: FakeAudio,
+  AudioContext: FakeAudioContext,
+  AVClient,
+  AVConfig,
+  CONFIG: { debug: {}, WebRTC: {} },
+  Dialog,
+  document: { addEventListener() {}, removeEventListener() {} },
+  FormApplication,
+  MediaRecorder: FakeMediaRecorder,
+  MediaStream: FakeMediaStream,
+  MediaStreamTrack: FakeMediaStreamTrack,
+  saveDataToFile: (data, type, filename) => currentClient().downloads.push(filename),
+});
+
+/* -------------------------------------------- */
+/*  Per client globals                          */
+/* -------------------------------------------- */
+
+/**
+ * The hooks of one client
+ */
+export class FakeHooks {
+  constructor() {
+    this.events = new Map();
+  }
+
+  callAll(hook, ...args) {
+    for (const fn of [...(this.events.get(hook) || [])]) {
+      fn(...args);
+    }
+    return true;
+  }
+
+  off(hook, fn) {
+    const fns = this.events.get(hook) || [];
+    this.events.set(hook, fns.filter((f) => f !== fn));
+  }
+
+  on(hook, fn) {
+    if (!this.events.has(hook)) this.events.set(hook, []);
+    this.events.get(hook).push(fn);
+    return fn;
+  }
+}
+
+/**
+ * The game settings of one client. World settings are shared through the server, and their
+ * onChange is called on every client like Foundry does.
+ */
+export class FakeClientSettings {
+  constructor(server, client) {
+    this.server = server;
+    this.client = client;
+    this.settings = new Map();
+    this.values = new Map();
+  }
+
+  get(module, key) {
+    const setting = this.settings.get(`${module}.${key}`);
+    if (!setting) throw new Error(`Setting ${module}.${key} is not registered`);
+
+    const store = setting.scope === "world" ? this.server.worldSettings : this.values;
+    const value = store.has(setting.id) ? store.get(setting.id) : setting.default;
+    return typeof value === "object" && value !== null ? duplicate(value) : value;
+  }
+
+  register(module, key, config) {
+    this.settings.set(`${module}.${key}`, { ...config, id: `${module}.${key}` });
+  }
+
+  registerMenu() {}
+
+  async set(module, key, value) {
+    const setting = this.settings.get(`${module}.${key}`);
+    if (!setting) throw new Error(`Setting ${module}.${key} is not registered`);
+
+    if (setting.scope === "world") {
+      if (!this.client.user.isGM) {
+        throw new Error(`${this.client.user.name} can't change world settings`);
+      }
+      await this.server.setWorldSetting(setting.id, value);
+    } else {
+      this.values.set(setting.id, duplicate(value));
+      if (setting.onChange) setting.onChange(value);
+    }
+    return value;
+  }
+}
+
+/**
+ * The socket of one client. Messages go to every other client, in order, on a later turn of
+ * the event loop; messages for a client that isn't listening yet are lost.
+ */
+export class FakeSocket {
+  constructor(server, client) {
+    this.server = server;
+    this.client = client;
+    this.listeners = [];
+  }
+
+  emit(event, data) {
+    this.server.relay(this.client, event, data);
+  }
+
+  on(event, fn) {
+    this.listeners.push({ event, fn });
+  }
+
+  receive(event, data, senderId) {
+    for (const listener of this.listeners.filter((l) => l.event === event)) {
+      listener.fn(data, senderId);
+    }
+  }
+}
@@ -0,0 +1,426 @@
+import {
+  Collection, FakeClientSettings, FakeHooks, FakeSocket, realSetTimeout, runAsClient,
+} from "./foundry.js";
+import { FakeMediaDevices } from "./media.js";
+import FakeSimplePeer from "./simple-peer.js";
+
+/* -------------------------------------------- */
+/*  Simulated world of several users            */
+/* -------------------------------------------- */
+
+// Warnings and errors logged by the module, instead of filling the test output
+export const logs = [];
+console.warn = (...args) => logs.push({ level: "warn", message: args.join(" ") });
+console.error = (...args) => logs.push({ level: "error", message: args.join(" ") });
+
+// The module can only be loaded once the Foundry globals exist
+const { MODULE_NAME } = await import("../../src/utils/constants.js");
+const { default: registerModuleSettings } = await import(
+  "../../src/utils/registerModuleSettings.js"
+);
+const { default: SimplePeerAVClient } = await import("../../src/SimplePeerAVClient.js");
+
+// The real simple-peer can't connect without WebRTC, so use the fake from here on
+FakeSimplePeer.config = globalThis.SimplePeer.config;
+globalThis.SimplePeer = FakeSimplePeer;
+
+export { MODULE_NAME };
+
+/**
+ * Wait for some time, keeping the test process alive
+ * @param {number} ms
+ * @return {Promise}
+ */
+export function delay(ms) {
+  return new Promise((resolve) => {
+    // Module timers don't keep the process alive, so this one has to
+    realSetTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Wait until a condition is true
+ * @param {Function} condition
+ * @param {object} [options]
+ * @param {number} [options.timeout]    How long to wait (ms) before failing
+ * @param {string} [options.message]    What was waited for, shown when it times out
+ * @return {Promise}
+ */
+export async function waitFor(condition, { timeout = 5000, message = condition.toString() } = {}) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error(`Timed out waiting for ${message}`);
+    await delay(10);
+  }
+}
+
+/**
+ * A user of the world. Like Foundry's User, whether the user is the current user depends on
+ * the client that asks.
+ */
+class FakeUser {
+  constructor({ id, name, isGM = false }) {
+    this.id = id;
+    this.name = name;
+    this.isGM = isGM;
+    this.active = false;
+    this.character = null;
+  }
+
+  get isSelf() {
+    return game.user.id === this.id;
+  }
+}
+
+/**
+ * The A/V settings of one client, with the broadcast permissions shared through the server
+ */
+class FakeAVSettings {
+  constructor(client) {
+    this.client = client;
+    this.data = {
+      client: {
+        audioSink: "default",
+        audioSrc: "default",
+        muteAll: false,
+        videoSrc: "default",
+        voice: { mode: "always", activityThreshold: -45 },
+      },
+      world: {},
+    };
+    // What each user has muted or hidden of their own
+    this.userSettings = {};
+  }
+
+  get users() {
+    const users = {};
+    for (const user of this.client.server.users) {
+      const permissions = this.client.server.permissions.get(user.id);
+      users[user.id] = {
+        muted: false, hidden: false, ...this.userSettings[user.id], ...permissions,
+      };
+    }
+    return users;
+  }
+
+  get(scope, key) {
+    if (scope === "users") return getProperty(this.users, key);
+    return getProperty(this.data[scope], key);
+  }
+
+  set(scope, key, value) {
+    // Like Foundry, the settings of each user are reported as changes of the users
+    if (key.startsWith("users.")) {
+      setProperty(this.userSettings, key.substring("users.".length), value);
+      this.client.master.onSettingsChanged(expandObject({ [key]: value }));
+      return;
+    }
+    setProperty(this.data[scope], key, value);
+    this.client.master.onSettingsChanged(expandObject({ [`${scope}.${key}`]: value }));
+  }
+}
+
+/**
+ * The parts of AVMaster the module uses
+ */
+class FakeAVMaster {
+  constructor(client) {
+    this.client = client;
+    this.settings = new FakeAVSettings(client);
+    this.broadcasting = false;
+    this.renders = 0;
+    this.avClient = null;
+
+    // The module calls render bound to its AVClient
+    this.render = () => {
+      this.renders += 1;
+    };
+  }
+
+  broadcast(intent) {
+    // Users that muted themselves don't broadcast, whatever the voice mode
+    this.broadcasting = intent && this.canUserShareAudio(game.user.id);
+    this.avClient.toggleBroadcast(this.broadcasting);
+  }
+
+  canUserBroadcastAudio(userId) {
+    return this._getPermissions(userId).canBroadcastAudio;
+  }
+
+  canUserBroadcastVideo(userId) {
+    return this._getPermissions(userId).canBroadcastVideo;
+  }
+
+  canUserShareAudio(userId) {
+    return this.canUserBroadcastAudio(userId) && !this.settings.get("users", `${userId}.muted`);
+  }
+
+  canUserShareVideo(userId) {
+    return this.canUserBroadcastVideo(userId) && !this.settings.get("users", `${userId}.hidden`);
+  }
+
+  onSettingsChanged(changed) {
+    // Our own microphone and camera controls toggle the tracks directly
+    const sharing = getProperty(changed, `users.${game.user.id}`) || {};
+    if ("hidden" in sharing) this.avClient.toggleVideo(this.canUserShareVideo(game.user.id));
+    if ("muted" in sharing) this.avClient.toggleAudio(this.canUserShareAudio(game.user.id));
+    this.avClient.onSettingsChanged(changed);
+  }
+
+  _getPermissions(userId) {
+    const user = this.client.server.users.get(userId);
+    if (!user || !user.active) return { canBroadcastAudio: false, canBroadcastVideo: false };
+    return this.client.server.permissions.get(userId);
+  }
+}
+
+/**
+ * One simulated browser, logged in as a user
+ */
+class FakeClient {
+  constructor(server, user) {
+    this.server = server;
+    this.user = user;
+    this.dialogs = [];
+    this.downloads = [];
+    // The answer to every confirmation dialog
+    this.confirmDialogs = false;
+    this.notifications = [];
+
+    this.Hooks = new FakeHooks();
+    this.canvas = { ready: false };
+    this.navigator = { mediaDevices: new FakeMediaDevices() };
+    this.window = { addEventListener() {}, removeEventListener() {} };
+    this.ui = {
+      notifications: {
+        error: (message) => this.notifications.push({ type: "error", message }),
+        info: (message) => this.notifications.push({ type: "info", message }),
+        warn: (message) => this.notifications.push({ type: "warn", message }),
+      },
+      webrtc: {
+        getUserVideoElement: () => null,
+        render: () => {},
+      },
+      windows: {},
+    };
+    this.socket = new FakeSocket(server, this);
+    this.game = {
+      i18n: {
+        format: (key, data) => `${key} ${JSON.stringify(data)}`,
+        localize: (key) => key,
+      },
+      modules: new Map([[MODULE_NAME, {}]]),
+      settings: new FakeClientSettings(server, this),
+      socket: this.socket,
+      user,
+      users: server.users,
+      webrtc: null,
+    };
+
+    this.master = new FakeAVMaster(this);
+    this.game.webrtc = this.master;
+    this.avClient = null;
+  }
+
+  /**
+   * The module's client, which holds the peers and streams
+   * @return {SimplePeerClient}
+   */
+  get simplePeer() {
+    return this.avClient._simplePeerClient;
+  }
+
+  get peers() {
+    return this.simplePeer.peers;
+  }
+
+  /**
+   * Run a function in this client, so the Foundry globals it uses are this client's
+   * @param {Function} fn
+   * @return {*}
+   */
+  run(fn) {
+    return runAsClient(this, fn);
+  }
+
+  /**
+   * Start the module like Foundry does once the game is ready
+   * @return {Promise}
+   */
+  start() {
+    return this.run(async () => {
+      registerModuleSettings();
+      this.avClient = new SimplePeerAVClient(this.master, this.master.settings);
+      this.master.avClient = this.avClient;
+      await this.avClient.initialize();
+      await this.avClient.connect();
+    });
+  }
+}
+
+/**
+ * The Foundry server: the users, the world settings and the socket relay between the clients
+ */
+export class FakeServer {
+  constructor(users) {
+    this.users = new Collection(users.map((data) => [data.id, new FakeUser(data)]));
+    this.clients = new Map();
+    this.permissions = new Map(users.map(({ id }) => [id, {
+      canBroadcastAudio: true,
+      canBroadcastVideo: true,
+    }]));
+    this.worldSettings = new Map();
+    this.messages = [];
+  }
+
+  /**
+   * Log a user in and start their A/V client
+   * @param {string} userId
+   * @return {Promise<FakeClient>}
+   */
+  async login(userId) {
+    const user = this.users.get(userId);
+    const client = new FakeClient(this, user);
+    this.clients.set(userId, client);
+    this._setActive(user, true);
+    await client.start();
+    return client;
+  }
+
+  /**
+   * Disconnect a user's A/V client and log them out
+   * @param {string} userId
+   * @return {Promise}
+   */
+  async logout(userId) {
+    const client = this.clients.get(userId);
+    await client.run(() => client.avClient.disconnect());
+    this.clients.delete(userId);
+    this._setActive(client.user, false);
+  }
+
+  /**
+   * Close a user's browser without disconnecting, so their peers only find out from the
+   * connections closing and the server telling the other clients
+   * @param {string} userId
+   */
+  crash(userId) {
+    const client = this.clients.get(userId);
+    this.clients.delete(userId);
+    for (const peer of client.peers.values()) {
+      peer.destroy();
+    }
+    this._setActive(client.user, false);
+  }
+
+  /**
+   * Relay a socket message to every other client
+   * @param {FakeClient} sender
+   * @param {string} event
+   * @param {object} data
+   */
+  relay(sender, event, data) {
+    const message = JSON.parse(JSON.stringify(data));
+    this.messages.push({ from: sender.user.id, event, data: message });
+    for (const client of this.clients.values()) {
+      if (client === sender) continue;
+      setImmediate(() => client.run(() => client.socket.receive(
+        event,
+        JSON.parse(JSON.stringify(message)),
+        sender.user.id,
+      )));
+    }
+  }
+
+  /**
+   * Change what a user is allowed to broadcast, and tell every client like Foundry does
+   * @param {string} userId
+   * @param {{canBroadcastAudio: boolean, canBroadcastVideo: boolean}} permissions
+   */
+  setPermissions(userId, permissions) {
+    Object.assign(this.permissions.get(userId), permissions);
+    const changed = { users: { [userId]: permissions } };
+    for (const client of this.clients.values()) {
+      client.run(() => client.master.onSettingsChanged(changed));
+    }
+  }
+
+  /**
+   * Save a world setting, and call its onChange on every client
+   * @param {string} id           The setting ID, "module.key"
+   * @param {*} value
+   * @return {Promise}
+   */
+  async setWorldSetting(id, value) {
+    this.worldSettings.set(id, duplicate(value));
+    for (const client of this.clients.values()) {
+      const setting = client.game.settings.settings.get(id);
+      if (setting && setting.onChange) client.run(() => setting.onChange(value));
+    }
+  }
+
+  _setActive(user, active) {
+    user.active = active;
+    for (const client of this.clients.values()) {
+      if (client.user !== user) client.run(() => Hooks.callAll("userConnected", user, active));
+    }
+  }
+}
+
+/**
+ * Create a world with a GM and two players. Their IDs sort so Alice is the initiator of every
+ * connection she is part of, and the GM of none.
+ * @return {FakeServer}
+ */
+export function createWorld() {
+  return new FakeServer([
+    { id: "alice00000000001", name: "Alice" },
+    { id: "bob0000000000001", name: "Bob" },
+    { id: "gamemaster000001", name: "Gamemaster", isGM: true },
+  ]);
+}
+
+/**
+ * Wait until every pair of clients has a connected peer for the same session
+ * @param {FakeClient[]} clients
+ * @return {Promise}
+ */
+export function waitForMesh(clients) {
+  return waitFor(() => clients.every((client) => clients.every((other) => {
+    if (client === other) return true;
+    const peer = client.peers.get(other.user.id);
+    const otherPeer = other.peers.get(client.user.id);
+    return peer && otherPeer && peer.connected && otherPeer.connected
+      && peer.sessionId === otherPeer.sessionId;
+  })), { message: "every client to be connected to every other client" });
+}
+
+/**
+ * Log users in one after another and wait until they are all connected to each other
+ * @param {FakeServer} server
+ * @param {string[]} userIds
+ * @return {Promise<FakeClient[]>}
+ */
+export async function loginAll(server, userIds) {
+  const clients = [];
+  for (const userId of userIds) {
+    clients.push(await server.login(userId));
+  }
+  await waitForMesh(clients);
+  return clients;
+}
+
+/**
+ * Get the socket messages of the module one user sent another
+ * @param {FakeServer} server
+ * @param {string} from         The sending User ID
+ * @param {string} to           The receiving User ID
+ * @param {string} [action]     Only get messages with this action
+ * @return {object[]}
+ */
+export function getMessages(server, from, to, action) {
+  return server.messages
+    .filter((m) => m.from === from && m.event === `module.${MODULE_NAME}` && m.data.userId === to)
+    .map((m) => m.data)
+    .filter((data) => !action || data.action === action);
+}
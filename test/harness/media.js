@@ -0,0 +1,294 @@
+import { AsyncResource } from "node:async_hooks";
+
+/* -------------------------------------------- */
+/*  Fake media for the tests                    */
+/* -------------------------------------------- */
+
+let nextId = 0;
+
+/**
+ * Create an ID that is unique for the test run
+ * @param {string} prefix
+ * @return {string}
+ */
+export function uniqueId(prefix) {
+  nextId += 1;
+  return `${prefix}-${nextId}`;
+}
+
+/**
+ * Create an error like the ones getUserMedia rejects with
+ * @param {string} name         The error name (e.g. "NotReadableError")
+ * @return {Error}
+ */
+export function mediaError(name) {
+  const err = new Error(`Fake ${name}`);
+  err.name = name;
+  return err;
+}
+
+/**
+ * A track that never carries any samples, but has the state of a real one
+ */
+export class FakeMediaStreamTrack extends EventTarget {
+  constructor(kind, { id = uniqueId(kind), deviceId = "default", constraints = {} } = {}) {
+    super();
+    this.kind = kind;
+    this.id = id;
+    this.label = `Fake ${kind} (${deviceId})`;
+    this.deviceId = deviceId;
+    this.enabled = true;
+    this.readyState = "live";
+    this._constraints = constraints;
+  }
+
+  applyConstraints(constraints) {
+    this._constraints = { ...this._constraints, ...constraints };
+    return Promise.resolve();
+  }
+
+  clone() {
+    return new FakeMediaStreamTrack(this.kind, {
+      deviceId: this.deviceId,
+      constraints: this._constraints,
+    });
+  }
+
+  getConstraints() {
+    return this._constraints;
+  }
+
+  getSettings() {
+    return { deviceId: this.deviceId };
+  }
+
+  stop() {
+    this.readyState = "ended";
+  }
+}
+
+export class FakeMediaStream extends EventTarget {
+  constructor(tracks = [], id = uniqueId("stream")) {
+    super();
+    this.id = id;
+    this._tracks = Array.isArray(tracks) ? [...tracks] : tracks.getTracks();
+  }
+
+  get active() {
+    return this._tracks.some((t) => t.readyState === "live");
+  }
+
+  addTrack(track) {
+    if (!this._tracks.includes(track)) this._tracks.push(track);
+  }
+
+  getAudioTracks() {
+    return this._tracks.filter((t) => t.kind === "audio");
+  }
+
+  getTrackById(id) {
+    return this._tracks.find((t) => t.id === id) || null;
+  }
+
+  getTracks() {
+    return [...this._tracks];
+  }
+
+  getVideoTracks() {
+    return this._tracks.filter((t) => t.kind === "video");
+  }
+
+  removeTrack(track) {
+    this._tracks = this._tracks.filter((t) => t !== track);
+  }
+}
+
+/**
+ * The devices of one simulated computer. Devices can be plugged in and removed, and made to fail
+ * when they are opened. Listeners run in the async context they were added in, so in the client
+ * that listens.
+ */
+export class FakeMediaDevices extends EventTarget {
+  constructor() {
+    super();
+    this.devices = [
+      { kind: "audioinput", deviceId: "default", label: "Default microphone" },
+      { kind: "videoinput", deviceId: "default", label: "Default camera" },
+      { kind: "audiooutput", deviceId: "default", label: "Default speakers" },
+    ];
+    // Error names to reject getUserMedia with, by kind ("audio", "video")
+    this.failures = new Map();
+    this.requests = [];
+    this._listeners = new Map();
+  }
+
+  addEventListener(type, listener, options) {
+    const bound = AsyncResource.bind(listener);
+    this._listeners.set(listener, bound);
+    super.addEventListener(type, bound, options);
+  }
+
+  removeEventListener(type, listener, options) {
+    super.removeEventListener(type, this._listeners.get(listener) || listener, options);
+    this._listeners.delete(listener);
+  }
+
+  async enumerateDevices() {
+    return this.devices.map((d) => ({ groupId: "", ...d }));
+  }
+
+  async getUserMedia(constraints) {
+    this.requests.push(constraints);
+
+    const tracks = [];
+    for (const [kind, deviceKind] of [["audio", "audioinput"], ["video", "videoinput"]]) {
+      if (!constraints[kind]) continue;
+      if (this.failures.has(kind)) throw mediaError(this.failures.get(kind));
+
+      // Ideal devices fall back to any device of the kind, like browsers do
+      const wanted = constraints[kind].deviceId && constraints[kind].deviceId.ideal;
+      const candidates = this.devices.filter((d) => d.kind === deviceKind);
+      const device = candidates.find((d) => d.deviceId === wanted) || candidates[0];
+      if (!device) throw mediaError("NotFoundError");
+
+      tracks.push(new FakeMediaStreamTrack(kind, {
+        deviceId: device.deviceId,
+        constraints: constraints[kind] === true ? {} : constraints[kind],
+      }));
+    }
+    if (tracks.length === 0) {
+      throw new TypeError("At least one of audio and video must be requested");
+    }
+
+    return new FakeMediaStream(tracks);
+  }
+
+  /**
+   * Plug in a device, and tell the page the devices changed
+   * @param {{kind: string, deviceId: string, label: string}} device
+   */
+  plug(device) {
+    this.devices.push(device);
+    this.dispatchEvent(new Event("devicechange"));
+  }
+
+  /**
+   * Remove a device, and tell the page the devices changed
+   * @param {string} deviceId
+   */
+  unplug(deviceId) {
+    this.devices = this.devices.filter((d) => d.deviceId !== deviceId);
+    this.dispatchEvent(new Event("devicechange"));
+  }
+}
+
+/**
+ * A recorder that records nothing, but goes through the states and events of a real one
+ */
+export class FakeMediaRecorder extends EventTarget {
+  constructor(stream, { mimeType = "" } = {}) {
+    super();
+    this.stream = stream;
+    this.mimeType = mimeType;
+    this.state = "inactive";
+  }
+
+  static isTypeSupported(mimeType) {
+    return mimeType.startsWith("audio/webm");
+  }
+
+  start() {
+    this.state = "recording";
+  }
+
+  stop() {
+    this.state = "inactive";
+    setImmediate(() => {
+      this.dispatchEvent(Object.assign(new Event("dataavailable"), { data: new Blob([]) }));
+      this.dispatchEvent(new Event("stop"));
+    });
+  }
+}
+
+/**
+ * An audio node with the connections and parameters the module uses
+ * @return {object}
+ */
+function fakeAudioNode() {
+  const param = () => ({
+    value: 0,
+    setTargetAtTime() {},
+    setValueAtTime() {},
+  });
+  return {
+    gain: param(),
+    pan: param(),
+    frequency: param(),
+    Q: param(),
+    fftSize: 2048,
+    type: "",
+    connect() {},
+    disconnect() {},
+    getFloatTimeDomainData(samples) {
+      samples.fill(0);
+    },
+  };
+}
+
+export class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = "running";
+  }
+
+  close() {
+    this.state = "closed";
+    return Promise.resolve();
+  }
+
+  createAnalyser() {
+    return fakeAudioNode();
+  }
+
+  createBiquadFilter() {
+    return fakeAudioNode();
+  }
+
+  createGain() {
+    return fakeAudioNode();
+  }
+
+  createMediaStreamDestination() {
+    return { ...fakeAudioNode(), stream: new FakeMediaStream() };
+  }
+
+  createMediaStreamSource() {
+    return fakeAudioNode();
+  }
+
+  createStereoPanner() {
+    return fakeAudioNode();
+  }
+
+  resume() {
+    return Promise.resolve();
+  }
+}
+
+export class FakeAudio {
+  constructor() {
+    this.srcObject = null;
+    this.sinkId = "";
+  }
+
+  pause() {}
+
+  play() {
+    return Promise.resolve();
+  }
+
+  setSinkId(sinkId) {
+    this.sinkId = sinkId;
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,357 @@
+import { AsyncResource } from "node:async_hooks";
+import { EventEmitter } from "node:events";
+
+import { FakeMediaStream, FakeMediaStreamTrack, uniqueId } from "./media.js";
+
+/* -------------------------------------------- */
+/*  Fake simple-peer                            */
+/* -------------------------------------------- */
+
+// Every peer of the test run, so the two ends of a connection can find each other
+const peers = new Map();
+
+/**
+ * A sender with the parameters of RTCRtpSender. Senders only have encodings once negotiated.
+ */
+class FakeSender {
+  constructor(track, stream) {
+    this.track = track;
+    this.stream = stream;
+    // The session description keeps announcing the first track, as replacing doesn't renegotiate
+    this.msidTrackId = track.id;
+    this.negotiated = false;
+    this._encodings = [{ active: true }];
+  }
+
+  getParameters() {
+    return { encodings: this.negotiated ? this._encodings.map((e) => ({ ...e })) : [] };
+  }
+
+  setParameters(parameters) {
+    this._encodings = parameters.encodings.map((e) => ({ ...e }));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * The parts of RTCPeerConnection the module reads
+ */
+class FakePeerConnection {
+  constructor(peer) {
+    this._peer = peer;
+    this.connectionState = "new";
+    this.iceConnectionState = "new";
+    this.currentLocalDescription = null;
+    this.currentRemoteDescription = null;
+    this.iceRestarts = 0;
+  }
+
+  getSenders() {
+    return [...this._peer._senders];
+  }
+
+  getStats() {
+    return Promise.resolve(new Map());
+  }
+
+  restartIce() {
+    this.iceRestarts += 1;
+  }
+}
+
+/**
+ * Stands in for simple-peer. Session descriptions are real enough for the module to parse the
+ * media they send, and the media of the other end is rebuilt from them, so peers of different
+ * simulated users only share the signals the module relays between them. Data is delivered to
+ * the peer at the other end directly.
+ * Events are emitted asynchronously, in the async context of the client that created the peer.
+ */
+export default class FakeSimplePeer extends EventEmitter {
+  constructor({
+    initiator = false,
+    streams = [],
+    config = {},
+    sdpTransform = (sdp) => sdp,
+  } = {}) {
+    super();
+    this.id = uniqueId("peer");
+    this.initiator = initiator;
+    this.config = config;
+    this.sdpTransform = sdpTransform;
+    this.connected = false;
+    this.destroyed = false;
+
+    this._pc = new FakePeerConnection(this);
+    this._remote = null;
+    this._remoteStreams = new Map();
+    this._senders = [];
+    this._negotiating = false;
+    this._negotiationNeeded = false;
+    this._queuedNegotiation = false;
+    this._run = AsyncResource.bind((fn) => fn());
+    peers.set(this.id, this);
+
+    for (const stream of streams) {
+      this.addStream(stream);
+    }
+    if (initiator) this._needsNegotiation();
+  }
+
+  /* -------------------------------------------- */
+
+  addStream(stream) {
+    for (const track of stream.getTracks()) {
+      this.addTrack(track, stream);
+    }
+  }
+
+  addTrack(track, stream) {
+    if (this._senders.some((s) => s.track === track && s.stream === stream)) {
+      throw Object.assign(new Error("Track has already been added to that stream."), {
+        code: "ERR_SENDER_ALREADY_ADDED",
+      });
+    }
+    this._senders.push(new FakeSender(track, stream));
+    this._needsNegotiation();
+  }
+
+  destroy(err) {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.connected = false;
+    this._pc.connectionState = "closed";
+    this._pc.iceConnectionState = "closed";
+
+    // The data channel of the other end closes with the connection
+    const remote = this._remote;
+    if (remote && !remote.destroyed) setImmediate(() => remote._run(() => remote.destroy()));
+
+    setImmediate(() => this._run(() => {
+      if (err) this.emit("error", err);
+      this.emit("close");
+    }));
+  }
+
+  negotiate() {
+    if (this.destroyed) return;
+    if (!this.initiator) {
+      // Only the initiator makes offers, so ask it to
+      this._later(() => this.emit("signal", { type: "renegotiate", renegotiate: true }));
+      return;
+    }
+    if (this._negotiating) {
+      this._queuedNegotiation = true;
+      return;
+    }
+
+    this._negotiating = true;
+    this._later(() => {
+      const sdp = this.sdpTransform(this._createDescription());
+      this._pc.currentLocalDescription = { type: "offer", sdp };
+      this.emit("signal", { type: "offer", sdp });
+    });
+  }
+
+  removeStream(stream) {
+    for (const sender of this._senders.filter((s) => s.stream === stream)) {
+      this.removeTrack(sender.track, stream);
+    }
+  }
+
+  removeTrack(track, stream) {
+    const sender = this._senders.find((s) => s.track === track && s.stream === stream);
+    if (!sender) {
+      throw Object.assign(new Error("Cannot remove track that was never added."), {
+        code: "ERR_TRACK_NOT_ADDED",
+      });
+    }
+    this._senders = this._senders.filter((s) => s !== sender);
+    this._needsNegotiation();
+  }
+
+  replaceTrack(oldTrack, newTrack, stream) {
+    const sender = this._senders.find((s) => s.track === oldTrack && s.stream === stream);
+    if (!sender) {
+      throw Object.assign(new Error("Cannot replace track that was never added."), {
+        code: "ERR_TRACK_NOT_ADDED",
+      });
+    }
+    sender.track = newTrack;
+  }
+
+  send(data) {
+    this.write(data);
+  }
+
+  signal(data) {
+    if (this.destroyed) {
+      throw Object.assign(new Error("cannot signal after peer is destroyed"), {
+        code: "ERR_DESTROYED",
+      });
+    }
+
+    if (data.renegotiate) {
+      if (this.initiator) this.negotiate();
+      return;
+    }
+    if (!data.sdp) return;
+
+    this._pc.currentRemoteDescription = { type: data.type, sdp: data.sdp };
+    this._link(data.sdp);
+    this._updateRemoteMedia(data.sdp);
+
+    if (data.type === "offer") {
+      const sdp = this.sdpTransform(this._createDescription());
+      this._pc.currentLocalDescription = { type: "answer", sdp };
+      this._later(() => this.emit("signal", { type: "answer", sdp }));
+      this._onNegotiated();
+    } else if (data.type === "answer") {
+      this._negotiating = false;
+      this._onNegotiated();
+      if (this._queuedNegotiation) {
+        this._queuedNegotiation = false;
+        this.negotiate();
+      }
+    }
+  }
+
+  write(data) {
+    if (!this.connected || !this._remote || this._remote.destroyed) {
+      throw Object.assign(new Error("cannot send before the connection is open"), {
+        code: "ERR_DATA_CHANNEL",
+      });
+    }
+    const remote = this._remote;
+    setImmediate(() => remote._run(() => {
+      if (!remote.destroyed) remote.emit("data", data);
+    }));
+    return true;
+  }
+
+  /* -------------------------------------------- */
+  /*  Simulation                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * Lose the network path of the connection, as when a laptop changes networks. Both ends see
+   * their ICE connection disconnect, and recover once ICE is restarted.
+   */
+  simulateNetworkLoss() {
+    for (const peer of [this, this._remote]) {
+      if (peer && !peer.destroyed) peer._setIceState("disconnected");
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  _createDescription() {
+    const lines = [
+      "v=0",
+      `o=- ${this.id.replace(/\D/g, "")} 2 IN IP4 127.0.0.1`,
+      "s=-",
+      "t=0 0",
+      `a=fake-peer:${this.id}`,
+    ];
+    for (const sender of this._senders) {
+      const { kind } = sender.track;
+      lines.push(
+        kind === "audio" ? "m=audio 9 UDP/TLS/RTP/SAVPF 111" : "m=video 9 UDP/TLS/RTP/SAVPF 96 98",
+        "a=sendrecv",
+        `a=msid:${sender.stream.id} ${sender.msidTrackId}`,
+      );
+      if (kind === "audio") {
+        lines.push("a=rtpmap:111 opus/48000/2", "a=fmtp:111 minptime=10;useinbandfec=1");
+      } else {
+        lines.push("a=rtpmap:96 VP8/90000", "a=rtpmap:98 VP9/90000");
+      }
+    }
+    lines.push("m=application 9 UDP/DTLS/SCTP webrtc-datachannel");
+    return `${lines.join("\r\n")}\r\n`;
+  }
+
+  _later(fn) {
+    setImmediate(() => this._run(() => {
+      if (!this.destroyed) fn();
+    }));
+  }
+
+  _link(sdp) {
+    const match = sdp.match(/^a=fake-peer:(\S+)/m);
+    const remote = match ? peers.get(match[1]) : null;
+    if (remote && remote !== this._remote) {
+      this._remote = remote;
+      remote._remote = this;
+    }
+  }
+
+  _needsNegotiation() {
+    if (this._negotiationNeeded) return;
+    this._negotiationNeeded = true;
+    setImmediate(() => this._run(() => {
+      this._negotiationNeeded = false;
+      if (!this.destroyed && (this.initiator || this.connected)) this.negotiate();
+    }));
+  }
+
+  _onNegotiated() {
+    for (const sender of this._senders) {
+      sender.negotiated = true;
+    }
+
+    this._later(() => {
+      if (!this.connected) {
+        this.connected = true;
+        this._pc.connectionState = "connected";
+        this.emit("connect");
+      }
+      if (this._pc.iceConnectionState !== "connected") this._setIceState("connected");
+      this.emit("negotiated");
+    });
+  }
+
+  _setIceState(state) {
+    this._pc.iceConnectionState = state;
+    this._run(() => this.emit("iceStateChange", state, "complete"));
+  }
+
+  /**
+   * Make the remote streams match the media a remote description sends
+   * @param {string} sdp
+   * @private
+   */
+  _updateRemoteMedia(sdp) {
+    const sending = new Map();
+    for (const section of sdp.split(/\r\n(?=m=)/).slice(1)) {
+      const kind = section.substring(2).split(" ")[0];
+      const msid = section.match(/^a=msid:(\S+) (\S+)/m);
+      if (msid) sending.set(msid[2], { kind, streamId: msid[1] });
+    }
+
+    // Tracks that are no longer sent end
+    for (const stream of this._remoteStreams.values()) {
+      for (const track of stream.getTracks()) {
+        if (!sending.has(track.id)) {
+          track.stop();
+          stream.removeTrack(track);
+        }
+      }
+    }
+
+    for (const [trackId, { kind, streamId }] of sending) {
+      let stream = this._remoteStreams.get(streamId);
+      const isNewStream = !stream;
+      if (isNewStream) {
+        stream = new FakeMediaStream([], streamId);
+        this._remoteStreams.set(streamId, stream);
+      }
+      if (stream.getTrackById(trackId)) continue;
+
+      const track = new FakeMediaStreamTrack(kind, { id: trackId });
+      stream.addTrack(track);
+      this._later(() => {
+        this.emit("track", track, stream);
+        if (isNewStream) queueMicrotask(() => this.emit("stream", stream));
+      });
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  createWorld, loginAll, waitFor,
+} from "./harness/index.js";
+
+const ALICE = "alice00000000001";
+const GM = "gamemaster000001";
+
+const isSendingAudio = (client) => client.simplePeer.localStream.getAudioTracks()[0].enabled;
+
+test("a user asked to mute can unmute with their own microphone control", async () => {
+  const server = createWorld();
+  const [gm, alice] = await loginAll(server, [GM, ALICE]);
+
+  gm.run(() => gm.simplePeer.moderationControls.requestMuteAll());
+  await waitFor(() => alice.simplePeer.muteRequested);
+  assert.equal(isSendingAudio(alice), false);
+  assert.equal(alice.master.settings.get("users", `${ALICE}.muted`), false);
+
+  // The control shows the microphone as on, so the first click mutes and the second unmutes
+  alice.run(() => alice.master.settings.set("client", `users.${ALICE}.muted`, true));
+  assert.equal(alice.simplePeer.muteRequested, false);
+  assert.equal(isSendingAudio(alice), false);
+
+  alice.run(() => alice.master.settings.set("client", `users.${ALICE}.muted`, false));
+  assert.equal(isSendingAudio(alice), true);
+});
+
+test("a user asked to mute can unmute from the notice on their camera view", async () => {
+  const server = createWorld();
+  const [gm, alice] = await loginAll(server, [GM, ALICE]);
+
+  gm.run(() => gm.simplePeer.moderationControls.requestMuteAll());
+  await waitFor(() => alice.simplePeer.muteRequested);
+
+  alice.run(() => alice.simplePeer.cancelMuteRequest());
+  assert.equal(isSendingAudio(alice), true);
+});
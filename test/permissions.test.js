@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  createWorld, delay, loginAll, logs, waitFor,
+} from "./harness/index.js";
+
+const ALICE = "alice00000000001";
+const BOB = "bob0000000000001";
+const GM = "gamemaster000001";
+
+const NO_BROADCAST = { canBroadcastAudio: false, canBroadcastVideo: false };
+
+test("revoking a user's permissions stops sending their media", async () => {
+  const server = createWorld();
+  const [, alice, bob] = await loginAll(server, [GM, ALICE, BOB]);
+  const oldTracks = bob.simplePeer.localStream.getTracks();
+
+  server.setPermissions(BOB, NO_BROADCAST);
+  await waitFor(() => bob.simplePeer.localStream.getTracks().length === 0);
+  await waitFor(() => alice.simplePeer.remoteStreams.get(BOB).getTracks().length === 0);
+
+  for (const track of oldTracks) {
+    assert.equal(track.readyState, "ended");
+  }
+  const aliceSending = alice.peers.get(BOB)._pc.getSenders().map((s) => s.track.kind);
+  assert.deepEqual(aliceSending.sort(), ["audio", "video"]);
+  assert.deepEqual(bob.peers.get(ALICE)._pc.getSenders(), []);
+
+  // Bob still receives the media of the users that can broadcast
+  assert.equal(bob.simplePeer.remoteStreams.get(ALICE).getTracks().length, 2);
+});
+
+test("media a user sends without permission is refused", async () => {
+  const server = createWorld();
+  const [alice, bob] = await loginAll(server, [ALICE, BOB]);
+  server.setPermissions(BOB, NO_BROADCAST);
+  await waitFor(() => alice.simplePeer.remoteStreams.get(BOB).getTracks().length === 0);
+
+  // Bob's client keeps sending a microphone anyway, as a modified client might
+  await bob.run(async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    bob.peers.get(ALICE).addStream(stream);
+  });
+  const rejection = `Rejecting answer from ${BOB} sending audio`;
+  await waitFor(() => logs.some((l) => l.message.includes(rejection)));
+  await delay(100);
+
+  assert.equal(alice.simplePeer.remoteStreams.get(BOB).getTracks().length, 0);
+});
+
+test("users that can't broadcast anything aren't connected to each other", async () => {
+  const server = createWorld();
+  const [gm, alice, bob] = await loginAll(server, [GM, ALICE, BOB]);
+
+  server.setPermissions(ALICE, NO_BROADCAST);
+  server.setPermissions(BOB, NO_BROADCAST);
+  await waitFor(() => !alice.peers.has(BOB) && !bob.peers.has(ALICE));
+  await delay(100);
+
+  assert.ok(!alice.simplePeer.remoteStreams.has(BOB));
+  assert.ok(!bob.simplePeer.remoteStreams.has(ALICE));
+  assert.equal(alice.simplePeer.reconnecting.size, 0);
+  assert.equal(bob.simplePeer.reconnecting.size, 0);
+
+  // They still hear and see the GM, who hears and sees nobody
+  for (const client of [alice, bob]) {
+    assert.equal(client.peers.get(GM).connected, true);
+    assert.equal(client.simplePeer.remoteStreams.get(GM).getTracks().length, 2);
+  }
+  assert.equal(gm.peers.size, 2);
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  createWorld, delay, loginAll, MODULE_NAME, waitFor, waitForMesh,
+} from "./harness/index.js";
+
+const ALICE = "alice00000000001";
+const BOB = "bob0000000000001";
+const GM = "gamemaster000001";
+
+const isToldRecording = (client) => client.notifications
+  .some((n) => n.message.includes("recordingStartedBy"));
+
+test("users are told about a recording, including users that log in while it runs", async () => {
+  const server = createWorld();
+  // With a player as the relay, users that log in later never connect to the GM
+  server.worldSettings.set(`${MODULE_NAME}.topology`, "relay");
+  server.worldSettings.set(`${MODULE_NAME}.relayUser`, ALICE);
+  server.worldSettings.set(`${MODULE_NAME}.relayMinUsers`, 3);
+  const [gm, alice] = await loginAll(server, [GM, ALICE]);
+
+  gm.run(() => gm.simplePeer.startRecording());
+  await waitFor(() => alice.simplePeer.recordingUsers.has(GM));
+  assert.ok(isToldRecording(alice));
+
+  const bob = await server.login(BOB);
+  await waitForMesh([alice, bob]);
+  assert.ok(!bob.peers.has(GM));
+  assert.ok(bob.simplePeer.recordingUsers.has(GM));
+  assert.ok(isToldRecording(bob));
+
+  await gm.run(() => gm.simplePeer.stopRecording());
+  await waitFor(() => alice.simplePeer.recordingUsers.size === 0
+    && bob.simplePeer.recordingUsers.size === 0);
+  assert.ok(bob.notifications.some((n) => n.message.includes("recordingStoppedBy")));
+  assert.equal(gm.downloads.length, 2);
+});
+
+test("a GM whose browser closed while recording isn't shown as recording when back", async () => {
+  const server = createWorld();
+  const [gm, alice] = await loginAll(server, [GM, ALICE]);
+  gm.run(() => gm.simplePeer.startRecording());
+  await waitFor(() => alice.simplePeer.recordingUsers.has(GM));
+
+  server.crash(GM);
+  await waitFor(() => alice.simplePeer.recordingUsers.size === 0);
+
+  await server.login(GM);
+  await delay(100);
+  assert.deepEqual(server.worldSettings.get(`${MODULE_NAME}.recording`), { users: [] });
+  assert.equal(alice.simplePeer.recordingUsers.size, 0);
+  assert.ok(!alice.notifications.some((n) => n.message.includes("recordingStoppedBy")));
+  assert.equal(gm.downloads.length, 0);
+});